@@ -48,6 +48,10 @@ export class ShaclPlayground extends connect(store, LitElement) {
         color: lightseagreen;
       }
 
+      vaadin-tab.report.warning {
+        color: orange;
+      }
+
       vaadin-tab.report.invalid {
         color: orangered;
       }
@@ -118,6 +122,8 @@ export class ShaclPlayground extends connect(store, LitElement) {
       sharingLink: { type: String },
       sharingLinkShortened: { type: Boolean },
       sharingDialogOpen: { type: Boolean },
+      historyDialogOpen: { type: Boolean },
+      layout: { type: Object },
       __wideDisplay: { type: Boolean, reflect: true, attribute: "wide" },
     };
   }
@@ -137,8 +143,10 @@ export class ShaclPlayground extends connect(store, LitElement) {
     import("@vaadin/icons/vaadin-icons.js");
     import("./components/graph-editor.js");
     import("zero-md");
+    import("./components/workspace-switcher.js");
 
-    store.dispatch.playground.restoreState();
+    // opens the active workspace and then restores the state of a shared link
+    store.dispatch.workspaces.init();
   }
 
   render() {
@@ -188,6 +196,14 @@ export class ShaclPlayground extends connect(store, LitElement) {
         >
           <iron-icon icon="vaadin:connect"></iron-icon>
         </vaadin-button>
+        <vaadin-button
+          class="navbar"
+          slot="navbar [touch-optimized]"
+          title="History"
+          @click="${this.__openHistoryDialog}"
+        >
+          <iron-icon icon="vaadin:time-backward"></iron-icon>
+        </vaadin-button>
         <vaadin-button
           class="navbar"
           slot="navbar [touch-optimized]"
@@ -202,7 +218,11 @@ export class ShaclPlayground extends connect(store, LitElement) {
           <editor-drawer model="dataGraph"></editor-drawer>
           <validation-drawer></validation-drawer>
           <vaadin-vertical-layout id="about-drawer">
-            <vaadin-button @click="${this.__reset}">
+            <workspace-switcher></workspace-switcher>
+            <vaadin-button
+              title="Replace the graphs of this workspace with the example"
+              @click="${this.__reset}"
+            >
               <iron-icon icon="vaadin:trash" slot="prefix"></iron-icon>
               Reset
             </vaadin-button>
@@ -224,26 +244,43 @@ export class ShaclPlayground extends connect(store, LitElement) {
         }}"
       >
       </vaadin-dialog>
+      <vaadin-dialog
+        ?opened="${this.historyDialogOpen}"
+        .renderer="${this.__renderHistoryDialog}"
+        @opened-changed="${(e) => {
+          this.historyDialogOpen = e.detail.value;
+        }}"
+      >
+      </vaadin-dialog>
     `;
   }
 
   __renderWide() {
     import("./validation-report.js");
     const selected = this.page === TAB.ABOUT ? 1 : 0;
+    // snapshots persisted before the layout was stored do not have it
+    const { editorsWidth = 50, editorsHeight = 60 } = this.layout || {};
 
     return html`
       <iron-pages selected="${selected}">
-        <vaadin-split-layout id="top-split" orientation="vertical">
-          <vaadin-split-layout style="height: 60%">
+        <vaadin-split-layout
+          id="top-split"
+          orientation="vertical"
+          @splitter-dragend="${this.__splitResized("editorsHeight", "height")}"
+        >
+          <vaadin-split-layout
+            style="height: ${editorsHeight}%"
+            @splitter-dragend="${this.__splitResized("editorsWidth", "width")}"
+          >
             <graph-editor
-              style="width: 50%"
+              style="width: ${editorsWidth}%"
               model="shapesGraph"
               @focus="${() => this.__pageSelected(TAB.SHAPES)}"
             >
               <h2 slot="header">${LABEL.ShapesGraph}</h2>
             </graph-editor>
             <graph-editor
-              style="width: 50%"
+              style="width: ${100 - editorsWidth}%"
               model="dataGraph"
               @focus="${() => this.__pageSelected(TAB.DATA)}"
             >
@@ -251,7 +288,7 @@ export class ShaclPlayground extends connect(store, LitElement) {
             </graph-editor>
           </vaadin-split-layout>
           <validation-report
-            style="height: 40%"
+            style="height: ${100 - editorsHeight}%"
             @click="${() => this.__pageSelected(TAB.REPORT)}"
           ></validation-report>
         </vaadin-split-layout>
@@ -333,21 +370,36 @@ export class ShaclPlayground extends connect(store, LitElement) {
     };
   }
 
+  __renderHistoryDialog(root) {
+    render(html`<history-panel></history-panel>`, root);
+  }
+
   mapState(state) {
     let reportClass = "";
+    let reportIcon = state.validation.conforms ? "vaadin:bug-o" : "vaadin:bug";
     if (state.validation.conforms) {
       reportClass = "valid";
+    } else if (
+      state.validation.conforms === false &&
+      state.validation.counts.Violation === 0
+    ) {
+      reportClass = "warning";
+      reportIcon = "vaadin:warning";
     } else if (state.validation.conforms === false) {
       reportClass = "invalid";
     }
+    if (state.validation.validating) {
+      reportIcon = "vaadin:hourglass";
+    }
 
     return {
       reportClass,
-      reportIcon: state.validation.conforms ? "vaadin:bug-o" : "vaadin:bug",
+      reportIcon,
       page: state.playground.page,
       shaperoneLink: state.playground.shaperone,
       sharingLink: state.playground.sharingLink,
       sharingLinkShortened: false,
+      layout: state.playground.layout,
     };
   }
 
@@ -356,8 +408,7 @@ export class ShaclPlayground extends connect(store, LitElement) {
   }
 
   __reset() {
-    localStorage.removeItem(document.location.hostname);
-    document.location.reload();
+    store.dispatch.workspaces.reset();
   }
 
   __loadPage(e) {
@@ -378,6 +429,11 @@ export class ShaclPlayground extends connect(store, LitElement) {
     this.sharingDialogOpen = true;
   }
 
+  __openHistoryDialog() {
+    import("./components/history-panel.js");
+    this.historyDialogOpen = true;
+  }
+
   async __shortenSharingLink() {
     if (this.sharingLinkShortened) {
       return;
@@ -388,6 +444,18 @@ export class ShaclPlayground extends connect(store, LitElement) {
     this.sharingLink = await shorten(this.sharingLink);
   }
 
+  __splitResized(key, dimension) {
+    return (e) => {
+      const total = e.currentTarget.getBoundingClientRect()[dimension];
+      const primary =
+        e.currentTarget.firstElementChild.getBoundingClientRect()[dimension];
+
+      store.dispatch.playground.resize({
+        [key]: Math.round((primary / total) * 1000) / 10,
+      });
+    };
+  }
+
   __setWideDisplay(e) {
     this.__wideDisplay = e.detail.value;
   }
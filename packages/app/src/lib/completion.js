@@ -0,0 +1,224 @@
+import rdf from "./env.js";
+import { prefixMap as combinePrefixes, turtlePrefixes } from "./prefixes.js";
+import { shaclTerms, shaclTermsByIri } from "./shacl-vocabulary.js";
+
+const { rdf: rdfNs, rdfs, sh } = rdf.ns;
+const SH = sh().value;
+
+const tokenPattern =
+  /#[^\n]*|"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|<[^>\s]*>|[.;,[\]()]|[^\s.;,[\]()<>"'#]+(?:\.[^\s.;,[\]()<>"'#]+)*/g;
+const localName = /^[\w-]+$/;
+
+/**
+ * Combines the namespaces of the selected well-known prefixes, custom prefixes and those declared in the document
+ *
+ * @param {{ prefixes: string[], customPrefixes: Record<string, string>, text: string }} sources
+ * @returns {Record<string, string>}
+ */
+export function namespaces({ prefixes, customPrefixes, text }) {
+  return {
+    ...combinePrefixes(prefixes, customPrefixes),
+    ...turtlePrefixes(text),
+  };
+}
+
+const iriCache = new WeakMap();
+
+/**
+ * Collects the IRIs of a graph, to complete prefixed names with the ones already in use
+ *
+ * @param {Quad[]} quads
+ * @returns {Set<string>}
+ */
+export function usedIris(quads) {
+  if (!iriCache.has(quads)) {
+    const iris = new Set();
+    for (const { subject, predicate, object } of quads) {
+      [subject, predicate, object, object.datatype]
+        .filter((term) => term?.termType === "NamedNode")
+        .forEach(({ value }) => iris.add(value));
+    }
+    iriCache.set(quads, iris);
+  }
+
+  return iriCache.get(quads);
+}
+
+function expand(name, prefixMap) {
+  if (name === "a") {
+    return rdfNs.type.value;
+  }
+  if (name.startsWith("<")) {
+    return name.slice(1, -1);
+  }
+
+  const colon = name.indexOf(":");
+  const namespace = colon >= 0 && prefixMap[name.substring(0, colon)];
+  return namespace ? namespace + name.substring(colon + 1) : undefined;
+}
+
+/**
+ * Finds what the Turtle statement expects at the end of a text.
+ *
+ * @param {string} text - the document up to the word being completed
+ * @returns {{ position: 'subject' | 'predicate' | 'object' | 'directive', predicate?: string }} the predicate is
+ * given as written, for objects
+ */
+export function statementContext(text) {
+  const frames = [{ expect: "subject" }];
+  let directive = null;
+
+  // what comes after a term in the frame's current position
+  const afterTerm = ({ expect, list }) => {
+    if (expect === "subject") {
+      return "predicate";
+    }
+    if (expect === "predicate") {
+      return "object";
+    }
+    return expect === "object" && !list ? "next" : expect;
+  };
+
+  for (const [token] of text.matchAll(tokenPattern)) {
+    const frame = frames[frames.length - 1];
+
+    if (token.startsWith("#")) {
+      // comments are ignored
+    } else if (directive) {
+      if (
+        (directive === "turtle" && token === ".") ||
+        (directive === "sparql" && token.startsWith("<"))
+      ) {
+        directive = null;
+      }
+    } else if (/^(@prefix|@base)$/.test(token)) {
+      directive = "turtle";
+    } else if (/^(prefix|base)$/i.test(token) && frame.expect === "subject") {
+      directive = "sparql";
+    } else if (token.startsWith("^^") || token.startsWith("@")) {
+      // datatypes and language tags belong to the preceding literal
+    } else if (token === "[") {
+      frames.push({ expect: "predicate", predicate: undefined });
+    } else if (token === "(") {
+      frames.push({ expect: "object", list: true, predicate: frame.predicate });
+    } else if (token === "]" || token === ")") {
+      if (frames.length > 1) {
+        frames.pop();
+        const parent = frames[frames.length - 1];
+        parent.expect = afterTerm(parent);
+      }
+    } else if (token === ",") {
+      frame.expect = "object";
+    } else if (token === ";") {
+      frame.expect = "predicate";
+    } else if (token === ".") {
+      frames.splice(1);
+      frames[0].expect = "subject";
+    } else {
+      if (frame.expect === "predicate") {
+        frame.predicate = token;
+      }
+      frame.expect = afterTerm(frame);
+    }
+  }
+
+  if (directive) {
+    return { position: "directive" };
+  }
+
+  const { expect, predicate } = frames[frames.length - 1];
+  if (expect === "object") {
+    return { position: "object", predicate };
+  }
+  // after an object, the next term only makes sense as a predicate of a new statement
+  return { position: expect === "next" ? "predicate" : expect };
+}
+
+function isA(term, type) {
+  return term.types.includes(type.value);
+}
+
+function shaclCandidates({ position, predicate }, prefixMap) {
+  if (position === "predicate") {
+    return shaclTerms.filter((term) => isA(term, rdfNs.Property));
+  }
+  if (position !== "object") {
+    return shaclTerms;
+  }
+
+  const predicateIri = predicate && expand(predicate, prefixMap);
+  if (predicateIri === rdfNs.type.value) {
+    return shaclTerms.filter((term) => isA(term, rdfs.Class));
+  }
+
+  // e.g. sh:nodeKind and sh:severity have a fixed set of values
+  const range = shaclTermsByIri.get(predicateIri)?.range;
+  const values = shaclTerms.filter((term) => term.types.includes(range));
+  if (values.length > 0) {
+    return values;
+  }
+
+  return shaclTerms.filter((term) => !isA(term, rdfNs.Property));
+}
+
+/**
+ * Lists the completions of a word being typed in an editor
+ *
+ * @param {object} options
+ * @param {string} options.word - the partial prefixed name before the cursor
+ * @param {string} options.textBefore - the document up to the word
+ * @param {Record<string, string>} options.prefixMap
+ * @param {Iterable<string>} options.iris - IRIs already used in the graphs
+ * @param {boolean} options.shapes - whether completing in the shapes graph, to suggest SHACL terms by context
+ * @returns {Array<{ text: string, iri?: string, comment?: string }>}
+ */
+export function completions({ word, textBefore, prefixMap, iris, shapes }) {
+  const colon = word.indexOf(":");
+  if (colon < 0) {
+    return Object.keys(prefixMap)
+      .filter((prefix) => prefix.startsWith(word))
+      .sort()
+      .map((prefix) => ({ text: `${prefix}:`, iri: prefixMap[prefix] }));
+  }
+
+  const prefix = word.substring(0, colon);
+  const local = word.substring(colon + 1);
+  const namespace = prefixMap[prefix];
+  if (namespace === undefined) {
+    return [];
+  }
+
+  const vocabulary =
+    namespace === SH
+      ? shaclCandidates(
+          shapes ? statementContext(textBefore) : { position: "subject" },
+          prefixMap
+        )
+      : [];
+  const used = [...iris]
+    .filter((iri) => iri.startsWith(namespace) && !shaclTermsByIri.has(iri))
+    .map((iri) => ({ iri, name: iri.substring(namespace.length) }))
+    .filter(({ name }) => localName.test(name))
+    .sort((left, right) => left.name.localeCompare(right.name));
+
+  return [...vocabulary, ...used]
+    .filter(({ name }) => name.startsWith(local) && name !== local)
+    .map(({ iri, name, comment }) => ({
+      text: `${prefix}:${name}`,
+      iri,
+      comment,
+    }));
+}
+
+/**
+ * Gets the documentation of a SHACL term
+ *
+ * @param {string} name - prefixed name or IRI as written
+ * @param {Record<string, string>} prefixMap
+ * @returns {string | undefined}
+ */
+export function documentation(name, prefixMap) {
+  const term = shaclTermsByIri.get(expand(name, prefixMap));
+
+  return term?.comment && `sh:${term.name}\n${term.comment}`;
+}
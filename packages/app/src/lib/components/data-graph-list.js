@@ -0,0 +1,142 @@
+import { css, html, LitElement } from "lit";
+import "@vaadin/form-layout/vaadin-form-item.js";
+import "@vaadin/item/vaadin-item.js";
+import "@vaadin/button/vaadin-button.js";
+import "@vaadin/text-field/vaadin-text-field.js";
+import { compare } from "../expectations.js";
+
+function badge(outcome, expected) {
+  const { conforms, results, error } = outcome || {};
+  if (error) {
+    return {
+      icon: "vaadin:exclamation-circle",
+      color: "orangered",
+      title: error,
+    };
+  }
+  if (expected && results) {
+    return compare(expected, { conforms, results }).passed
+      ? { icon: "vaadin:check", color: "green", title: "Matches expected" }
+      : { icon: "vaadin:close", color: "red", title: "Differs from expected" };
+  }
+  if (conforms === true) {
+    return { icon: "vaadin:check-circle", color: "green", title: "Passes" };
+  }
+  if (conforms === false) {
+    return { icon: "vaadin:close-circle", color: "red", title: "Fails" };
+  }
+
+  return { icon: "vaadin:circle-thin", color: "gray", title: "Not validated" };
+}
+
+class DataGraphList extends LitElement {
+  static get styles() {
+    return css`
+      :host {
+        display: block;
+      }
+
+      vaadin-form-item {
+        width: 100%;
+      }
+
+      vaadin-item {
+        cursor: pointer;
+      }
+
+      vaadin-item[selected] {
+        font-weight: bold;
+      }
+
+      iron-icon {
+        --iron-icon-width: 1em;
+        --iron-icon-height: 1em;
+      }
+
+      vaadin-text-field {
+        width: 100%;
+      }
+    `;
+  }
+
+  static get properties() {
+    return {
+      graphs: { type: Array },
+      selected: { type: String },
+      outcomes: { type: Object },
+      expectations: { type: Object },
+    };
+  }
+
+  constructor() {
+    super();
+    this.graphs = [];
+    this.outcomes = {};
+    this.expectations = {};
+  }
+
+  render() {
+    const current = this.graphs.find(({ id }) => id === this.selected);
+
+    return html`<vaadin-form-item label-position="top">
+      <label slot="label">Data graphs</label>
+      <div>
+        ${this.graphs.map(({ id, name }) => {
+          const { icon, color, title } = badge(
+            this.outcomes[id],
+            this.expectations[id]
+          );
+
+          return html`
+            <vaadin-item
+              ?selected="${id === this.selected}"
+              @click="${this.__notify("data-graph-selected", { id })}"
+            >
+              <iron-icon
+                icon="${icon}"
+                title="${title}"
+                style="color: ${color}"
+              ></iron-icon>
+              ${name}
+            </vaadin-item>
+          `;
+        })}
+      </div>
+      <vaadin-text-field
+        label="Name"
+        .value="${current ? current.name : ""}"
+        @change="${this.__rename}"
+      ></vaadin-text-field>
+      <vaadin-button @click="${this.__notify("data-graph-added", {})}">
+        Add
+      </vaadin-button>
+      <vaadin-button
+        ?disabled="${this.graphs.length < 2}"
+        @click="${this.__notify("data-graph-removed", { id: this.selected })}"
+      >
+        Remove
+      </vaadin-button>
+    </vaadin-form-item>`;
+  }
+
+  __rename(e) {
+    this.__notify("data-graph-renamed", {
+      id: this.selected,
+      name: e.target.value,
+    })();
+  }
+
+  __notify(name, detail) {
+    return () => {
+      this.dispatchEvent(
+        new CustomEvent(name, {
+          detail,
+          bubbles: true,
+          composed: true,
+        })
+      );
+    };
+  }
+}
+
+customElements.define("data-graph-list", DataGraphList);
@@ -2,10 +2,18 @@ import { connect } from "@captaincodeman/rdx";
 import { html, LitElement, render } from "lit";
 import "@vaadin/form-layout/vaadin-form-layout.js";
 import "@vaadin/select/vaadin-select.js";
+import "@vaadin/form-layout/vaadin-form-item.js";
+import "@vaadin/text-field/vaadin-text-field.js";
+import "@vaadin/button/vaadin-button.js";
 import { mediaTypes as formats } from "@rdfjs-elements/formats-pretty";
 import { store } from "../store/index.js";
+import { canWriteFiles, pickFile } from "../local-files.js";
+import { usedIris } from "../completion.js";
+import { suggestPrefixes } from "../prefixes.js";
 import "./prefix-list.js";
 import "./custom-prefixes.js";
+import "./data-graph-list.js";
+import "./format-conversion.js";
 
 class EditorDrawer extends connect(store, LitElement) {
   static get properties() {
@@ -14,17 +22,90 @@ class EditorDrawer extends connect(store, LitElement) {
       model: { type: String },
       prefixes: { type: Array },
       customPrefixes: { type: Object },
+      dataGraphs: { type: Object },
+      expectations: { type: Object },
+      source: { type: Object },
+      fetching: { type: String },
+      fetchError: { type: String },
+      file: { type: Object },
+      parseError: { type: Object },
+      quads: { type: Array },
+      suggestedPrefixes: { type: Array },
     };
   }
 
   constructor() {
     super();
     this.prefixes = [];
+    this.suggestedPrefixes = [];
+  }
+
+  willUpdate(changed) {
+    if (
+      changed.has("quads") ||
+      changed.has("prefixes") ||
+      changed.has("customPrefixes")
+    ) {
+      this.suggestedPrefixes = suggestPrefixes(usedIris(this.quads || []), {
+        prefixes: this.prefixes,
+        customPrefixes: this.customPrefixes,
+      });
+    }
   }
 
   render() {
     return html`
       <vaadin-form-layout>
+        ${this.model === "dataGraph" && this.dataGraphs
+          ? html`<data-graph-list
+              .graphs="${this.dataGraphs.graphs}"
+              .selected="${this.dataGraphs.selected}"
+              .outcomes="${this.dataGraphs.outcomes}"
+              .expectations="${this.expectations}"
+            ></data-graph-list>`
+          : ""}
+
+        <vaadin-form-item label-position="top">
+          <label slot="label">File</label>
+          <span>${this.file?.name || ""}</span>
+          <vaadin-button @click="${this.__openFile}">
+            <iron-icon icon="vaadin:folder-open-o" slot="prefix"></iron-icon>
+            Open file…
+          </vaadin-button>
+          <vaadin-button
+            title="${canWriteFiles && this.file
+              ? `Save to ${this.file.name}`
+              : "Save as…"}"
+            ?disabled="${!!this.parseError}"
+            @click="${() => store.dispatch.playground.saveFile(this.model)}"
+          >
+            <iron-icon icon="vaadin:download" slot="prefix"></iron-icon>
+            Save
+          </vaadin-button>
+          <p ?hidden="${!this.parseError}">
+            <iron-icon icon="vaadin:warning" style="color: orange"></iron-icon>
+            Fix the syntax error before saving
+          </p>
+        </vaadin-form-item>
+
+        <vaadin-form-item label-position="top">
+          <label slot="label">Open URL</label>
+          <vaadin-text-field
+            id="url"
+            placeholder="https://"
+            .value="${this.source?.url || ""}"
+            ?disabled="${!!this.fetching}"
+            @keydown="${(e) => e.key === "Enter" && this.__openUrl()}"
+          ></vaadin-text-field>
+          <vaadin-button
+            ?disabled="${!!this.fetching}"
+            @click="${this.__openUrl}"
+          >
+            ${this.fetching ? "Loading…" : "Open"}
+          </vaadin-button>
+          <p ?hidden="${!this.fetchError}">${this.fetchError}</p>
+        </vaadin-form-item>
+
         <vaadin-select
           label="Format"
           value="${this.format}"
@@ -33,13 +114,57 @@ class EditorDrawer extends connect(store, LitElement) {
         >
         </vaadin-select>
 
+        <format-conversion model="${this.model}"></format-conversion>
+
         <prefix-list .selected="${this.prefixes}"></prefix-list>
 
         <custom-prefixes .prefixes="${this.customPrefixes}"></custom-prefixes>
+
+        ${this.__renderSuggestedPrefixes()}
       </vaadin-form-layout>
     `;
   }
 
+  __renderSuggestedPrefixes() {
+    if (this.suggestedPrefixes.length === 0) {
+      return "";
+    }
+
+    return html`
+      <vaadin-form-item label-position="top">
+        <label slot="label">Suggested prefixes (click to add)</label>
+        <ul>
+          ${this.suggestedPrefixes.map(
+            ({ prefix, namespace, count }) => html`
+              <li>
+                <a
+                  href="#"
+                  title="${namespace}"
+                  @click="${(e) => {
+                    e.preventDefault();
+                    store.dispatch[this.model].addPrefix(prefix);
+                  }}"
+                  >${prefix}</a
+                >
+                used by ${count} IRI${count === 1 ? "" : "s"}
+              </li>
+            `
+          )}
+        </ul>
+        <vaadin-button @click="${this.__applySuggestedPrefixes}">
+          Apply all
+        </vaadin-button>
+      </vaadin-form-item>
+    `;
+  }
+
+  __applySuggestedPrefixes() {
+    store.dispatch[this.model].replacePrefixes([
+      ...this.prefixes,
+      ...this.suggestedPrefixes.map(({ prefix }) => prefix),
+    ]);
+  }
+
   __renderList(root) {
     render(
       html`
@@ -60,6 +185,14 @@ class EditorDrawer extends connect(store, LitElement) {
       format: state[this.model].format,
       prefixes: state[this.model].prefixes,
       customPrefixes: state[this.model].customPrefixes || {},
+      dataGraphs: state.dataGraphs,
+      expectations: state.expectations.graphs,
+      source: state[this.model].source,
+      fetching: state[this.model].fetching,
+      fetchError: state[this.model].fetchError,
+      file: state[this.model].file,
+      parseError: state[this.model].parseError,
+      quads: state[this.model].quads,
     };
   }
 
@@ -71,9 +204,36 @@ class EditorDrawer extends connect(store, LitElement) {
         store.dispatch[this.model].removePrefix(e.detail.value),
       "custom-prefix-set": (e) =>
         store.dispatch[this.model].setCustomPrefix(e.detail),
+      "data-graph-selected": (e) =>
+        store.dispatch.dataGraphs.switchTo(e.detail.id),
+      "data-graph-added": () => store.dispatch.dataGraphs.add(),
+      "data-graph-renamed": (e) => store.dispatch.dataGraphs.rename(e.detail),
+      "data-graph-removed": () => store.dispatch.dataGraphs.removeSelected(),
     };
   }
 
+  async __openFile() {
+    let picked;
+    try {
+      picked = await pickFile();
+    } catch (e) {
+      // e.g. the browser refused access to the file
+      store.dispatch[this.model].fetchFailed(e.message);
+      return;
+    }
+
+    if (picked) {
+      store.dispatch.playground.openFile({ model: this.model, ...picked });
+    }
+  }
+
+  __openUrl() {
+    const url = this.renderRoot.querySelector("#url").value.trim();
+    if (url) {
+      store.dispatch.playground.openUrl({ model: this.model, url });
+    }
+  }
+
   __formatSelected(e) {
     store.dispatch[this.model].changeFormat(e.detail.value);
   }
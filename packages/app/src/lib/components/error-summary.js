@@ -1,49 +1,117 @@
-import { html, LitElement } from "lit";
+import { css, html, LitElement } from "lit";
 import { shrink } from "@zazuko/prefixes/shrink";
 import rdf from "../env.js";
+import { severities, severityOf } from "../severity.js";
+import { isHighlighted } from "../highlight.js";
+import { focusNodeGraphLabel, resultMessage } from "../result-rows.js";
 
-function createMessage(result) {
-  try {
-    if (result.resultMessage) {
-      // Get all messages if multiple exist
-      const messages = Array.isArray(result.resultMessage)
-        ? result.resultMessage
-        : [result.resultMessage];
-      return messages.join('; ');
-    }
-  } catch (e) {
-    // Handle multiple resultMessage values by accessing the raw RDF data
-    const messages = result.pointer.out(rdf.ns.sh.resultMessage).values;
-    if (messages.length > 0) {
-      return messages.join('; ');
-    }
-  }
+function notify(name, detail) {
+  return (e) => {
+    e.preventDefault();
 
-  if (result.sourceConstraintComponent) {
-    return `Violated ${shrink(result.sourceConstraintComponent.id.value)}`;
-  }
+    e.target.dispatchEvent(
+      new CustomEvent(name, {
+        detail,
+        bubbles: true,
+        composed: true,
+      })
+    );
+  };
+}
+
+function resultTerms(result) {
+  const path = result.resultPath?.id;
 
-  return "Unspecified error";
+  return {
+    focusNode: result.focusNode,
+    path: path?.termType === "NamedNode" ? path : undefined,
+    value: result.value,
+  };
 }
 
-const renderResult = (result) => html` <li>${createMessage(result)}</li> `;
+function showInDataGraph(result) {
+  return notify("result-selected", resultTerms(result));
+}
+
+function showShape(result) {
+  return notify("shape-selected", {
+    shape: result.sourceShape?.id,
+  });
+}
+
+function renderSeverity(result) {
+  const severity = severityOf(result.pointer);
+  const { icon, color } = severities[severity] || severities.Violation;
+
+  return html`
+    <iron-icon icon="${icon}" style="color: ${color}" title="${severity}">
+    </iron-icon>
+  `;
+}
+
+const renderResult = (result, highlight) => html`
+  <li
+    class="${isHighlighted(resultTerms(result), highlight) ? "selected" : ""}"
+  >
+    ${renderSeverity(result)}
+    <a href="#" title="Show in data graph" @click="${showInDataGraph(result)}">
+      ${resultMessage(result.pointer)}
+    </a>
+    <a
+      class="shape"
+      href="#"
+      title="${shrink(result.sourceConstraintComponent?.id.value || "") ||
+      "Show shape"}"
+      ?hidden="${!result.sourceShape}"
+      @click="${showShape(result)}"
+    >
+      show shape
+    </a>
+  </li>
+`;
+
+function renderSummary(
+  { focusNodes, ...top },
+  customPrefixes,
+  highlight,
+  focusNodeGraphs
+) {
+  const renderResults = (results) =>
+    results.map((result) => renderResult(result, highlight));
+  const renderGraphs = (focusNode) => {
+    const graphs = focusNodeGraphLabel(
+      focusNode,
+      focusNodeGraphs,
+      customPrefixes
+    );
+    return graphs ? html`<small class="graphs">in ${graphs}</small>` : "";
+  };
 
-function renderSummary({ focusNodes, ...top }, customPrefixes) {
   return html`
     <ul>
-      ${top.errors.map(renderResult)}
+      ${renderResults(top.errors)}
       ${[...focusNodes].map(
         ([focusNode, { properties, errors }]) => html`
           <li>
             ${shrink(focusNode.value, customPrefixes) || focusNode.value}:
+            <a
+              class="pin"
+              href="#"
+              title="Validate only the pinned focus nodes"
+              ?hidden="${focusNode.termType !== "NamedNode"}"
+              @click="${notify("focus-node-pinned", { focusNode })}"
+            >
+              pin
+            </a>
+            ${renderGraphs(focusNode)}
             <ul>
-              ${errors.map(renderResult)}
+              ${renderResults(errors)}
               ${[...properties].map(
                 ([property, messages]) => html`
                   <li>
                     ${shrink(property.value, customPrefixes) || property.value}:
                     <ul>
-                      ${messages.map(renderResult)}
+                      ${renderResults(messages)}
                     </ul>
                   </li>
                 `
@@ -82,10 +150,36 @@ function reduceToFocusNodes({ focusNodes, errors }, result) {
 }
 
 class ErrorSummary extends LitElement {
+  static get styles() {
+    return css`
+      iron-icon {
+        --iron-icon-width: 1em;
+        --iron-icon-height: 1em;
+      }
+
+      li.selected > a {
+        font-weight: bold;
+      }
+
+      a.shape,
+      a.pin,
+      .graphs {
+        font-size: var(--lumo-font-size-s, small);
+        margin-left: 0.5em;
+      }
+
+      [hidden] {
+        display: none;
+      }
+    `;
+  }
+
   static get properties() {
     return {
       validationResults: { type: Array },
       customPrefixes: { type: Object },
+      highlight: { type: Object },
+      focusNodeGraphs: { type: Object },
     };
   }
 
@@ -93,19 +187,25 @@ class ErrorSummary extends LitElement {
     super();
     this.validationResults = [];
     this.customPrefixes = {};
+    this.focusNodeGraphs = {};
   }
 
   render() {
-    const results = this.validationResults
-      .map((result) => rdf.rdfine.sh.ValidationResult(result))
-      .filter((result) => result.resultSeverity.equals(rdf.ns.sh.Violation));
+    const results = this.validationResults.map((result) =>
+      rdf.rdfine.sh.ValidationResult(result)
+    );
 
     if (results.length) {
       const summary = results.reduce(reduceToFocusNodes, {
         focusNodes: rdf.termMap(),
         errors: [],
       });
-      return renderSummary(summary, this.customPrefixes);
+      return renderSummary(
+        summary,
+        this.customPrefixes,
+        this.highlight,
+        this.focusNodeGraphs
+      );
     }
 
     return "";
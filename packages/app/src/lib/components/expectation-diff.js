@@ -0,0 +1,111 @@
+import { css, html, LitElement } from "lit";
+import { compare } from "../expectations.js";
+
+const columns = Object.entries({
+  focusNode: "Focus node",
+  path: "Path",
+  value: "Value",
+  severity: "Severity",
+  component: "Constraint component",
+  sourceShape: "Source shape",
+});
+
+/**
+ * Renders validation results compared by `compare` as a table
+ *
+ * @param {string} title
+ * @param {Array<Record<string, string>>} results
+ */
+export function renderResults(title, results) {
+  if (results.length === 0) {
+    return "";
+  }
+
+  return html`
+    <h4>${title} (${results.length})</h4>
+    <table>
+      <thead>
+        <tr>
+          ${columns.map(([, name]) => html`<th>${name}</th>`)}
+        </tr>
+      </thead>
+      <tbody>
+        ${results.map(
+          (result) => html`
+            <tr>
+              ${columns.map(([key]) => html`<td>${result[key]}</td>`)}
+            </tr>
+          `
+        )}
+      </tbody>
+    </table>
+  `;
+}
+
+class ExpectationDiff extends LitElement {
+  static get styles() {
+    return css`
+      :host {
+        display: block;
+      }
+
+      .passed {
+        color: green;
+      }
+
+      .failed {
+        color: orangered;
+      }
+
+      table {
+        border-collapse: collapse;
+        font-size: var(--lumo-font-size-s, small);
+      }
+
+      th,
+      td {
+        border-bottom: 1px solid var(--lumo-contrast-10pct, #eee);
+        padding: 2px 6px;
+        text-align: left;
+        vertical-align: top;
+      }
+
+      [hidden] {
+        display: none;
+      }
+    `;
+  }
+
+  static get properties() {
+    return {
+      expected: { type: Object },
+      actual: { type: Object },
+    };
+  }
+
+  render() {
+    const { passed, conformsMatches, missing, unexpected } = compare(
+      this.expected,
+      this.actual
+    );
+
+    return html`
+      <p class="${passed ? "passed" : "failed"}">
+        <iron-icon
+          icon="${passed ? "vaadin:check-circle" : "vaadin:close-circle"}"
+        ></iron-icon>
+        ${passed
+          ? "Actual outcome matches the expected outcome"
+          : "Actual outcome differs from the expected outcome"}
+      </p>
+      <p ?hidden="${conformsMatches}">
+        Expected conforms to be ${this.expected.conforms}, but it is
+        ${this.actual.conforms}
+      </p>
+      ${renderResults("Missing results", missing)}
+      ${renderResults("Unexpected results", unexpected)}
+    `;
+  }
+}
+
+customElements.define("expectation-diff", ExpectationDiff);
@@ -0,0 +1,183 @@
+import { connect } from "@captaincodeman/rdx";
+import { html, LitElement, render } from "lit";
+import "@vaadin/form-layout/vaadin-form-item.js";
+import "@vaadin/select/vaadin-select.js";
+import "@vaadin/button/vaadin-button.js";
+import "@vaadin/dialog/vaadin-dialog.js";
+import { store } from "../store/index.js";
+import { convertGraph, formatLabels } from "../format-conversion.js";
+
+const previewStyle =
+  "margin: 0; padding: 0.5em; height: 60vh; overflow: auto; font-size: var(--lumo-font-size-xs, x-small); background: var(--lumo-contrast-5pct, #f5f5f5)";
+
+class FormatConversion extends connect(store, LitElement) {
+  static get properties() {
+    return {
+      model: { type: String },
+      format: { type: String },
+      graph: { type: String },
+      prefixes: { type: Array },
+      customPrefixes: { type: Object },
+      target: { type: String },
+      converted: { type: Object },
+      error: { type: String },
+      previewOpen: { type: Boolean },
+    };
+  }
+
+  render() {
+    const targets = Object.keys(formatLabels).filter(
+      (format) => format !== this.format
+    );
+
+    return html`
+      <vaadin-form-item label-position="top">
+        <label slot="label">Convert to…</label>
+        <vaadin-select
+          .value="${this.target || ""}"
+          @value-changed="${(e) => {
+            this.target = e.detail.value;
+          }}"
+          .renderer="${(root) =>
+            render(
+              html`
+                <vaadin-list-box>
+                  ${targets.map(
+                    (format) => html`
+                      <vaadin-item value="${format}">
+                        ${formatLabels[format]}
+                      </vaadin-item>
+                    `
+                  )}
+                </vaadin-list-box>
+              `,
+              root
+            )}"
+        ></vaadin-select>
+        <vaadin-button
+          ?disabled="${!this.target || this.target === this.format}"
+          @click="${this.__preview}"
+        >
+          Preview…
+        </vaadin-button>
+      </vaadin-form-item>
+
+      <vaadin-dialog
+        ?opened="${this.previewOpen}"
+        .renderer="${this.__renderPreview(this)}"
+        @opened-changed="${(e) => {
+          this.previewOpen = e.detail.value;
+        }}"
+      ></vaadin-dialog>
+    `;
+  }
+
+  async __preview() {
+    const { target } = this;
+    this.converted = undefined;
+    this.error = undefined;
+    this.previewOpen = true;
+
+    try {
+      const converted = await convertGraph(
+        {
+          graph: this.graph,
+          format: this.format,
+          prefixes: this.prefixes,
+          customPrefixes: this.customPrefixes,
+        },
+        target
+      );
+      if (target === this.target) {
+        this.converted = { ...converted, format: target };
+      }
+    } catch (e) {
+      this.error = e.message;
+    }
+  }
+
+  __apply() {
+    const { format, graph } = this.converted;
+
+    store.dispatch[this.model].converted({ format, graph });
+    this.__close();
+    this.target = undefined;
+  }
+
+  __close() {
+    this.previewOpen = false;
+  }
+
+  __renderPreview(parent) {
+    /* eslint-disable lit/no-template-bind */
+    return (root) => {
+      const { converted, error } = parent;
+      let convertedText = converted?.graph;
+      if (!converted) {
+        convertedText = error ? "" : "Converting…";
+      }
+
+      render(
+        html`
+          <div style="width: 90vw; max-width: 1200px">
+            <h3>
+              Convert from ${formatLabels[parent.format] || parent.format} to
+              ${formatLabels[parent.target] || ""}
+            </h3>
+            ${error ? html`<p>Could not convert: ${error}</p>` : ""}
+            ${converted && converted.warnings.length === 0
+              ? html`<p>All triples and prefixes are kept</p>`
+              : ""}
+            <ul ?hidden="${!converted?.warnings.length}">
+              ${(converted?.warnings || []).map(
+                (warning) => html`
+                  <li>
+                    <iron-icon
+                      icon="vaadin:warning"
+                      style="color: orange"
+                    ></iron-icon>
+                    ${warning}
+                  </li>
+                `
+              )}
+            </ul>
+            <div
+              style="display: grid; grid-template-columns: 1fr 1fr; gap: 1em"
+            >
+              <div>
+                <h4>Current</h4>
+                <pre style="${previewStyle}">${parent.graph}</pre>
+              </div>
+              <div>
+                <h4>Converted</h4>
+                <pre style="${previewStyle}">${convertedText}</pre>
+              </div>
+            </div>
+            <vaadin-button
+              theme="primary"
+              ?disabled="${!converted}"
+              @click="${parent.__apply.bind(parent)}"
+            >
+              Apply
+            </vaadin-button>
+            <vaadin-button @click="${parent.__close.bind(parent)}">
+              Cancel
+            </vaadin-button>
+          </div>
+        `,
+        root
+      );
+    };
+  }
+
+  mapState(state) {
+    return {
+      format: state[this.model].format,
+      graph: state[this.model].graph,
+      prefixes: state[this.model].prefixes,
+      customPrefixes: state[this.model].customPrefixes || {},
+    };
+  }
+}
+
+customElements.define("format-conversion", FormatConversion);
@@ -1,24 +1,105 @@
-import { css, html, LitElement } from "lit";
+import { css, html, LitElement, unsafeCSS } from "lit";
+import { keyed } from "lit/directives/keyed.js";
 import "@rdfjs-elements/rdf-editor";
+import { mediaTypes } from "@rdfjs-elements/formats-pretty";
 import { connect } from "@captaincodeman/rdx";
 import { store } from "../store/index.js";
+import rdf from "../env.js";
+import { locate } from "../source-locator.js";
+import {
+  completions,
+  documentation,
+  namespaces,
+  usedIris,
+} from "../completion.js";
+import { jsonLdContext, onlyDeclared } from "../prefixes.js";
+import {
+  dataGraphDiagnostics,
+  errorLine,
+  severityColors,
+  shapesGraphDiagnostics,
+} from "../diagnostics.js";
 import "./editor-drawer.js";
 
-let autorefreshLoaded = null;
+const CODEMIRROR_ADDONS =
+  "https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.32.0/addon";
+const addonsLoaded = new Map();
 const PARSE_DELAY = 10;
+const DIAGNOSTICS_GUTTER = "diagnostics";
+const severities = Object.keys(severityColors);
 
-function autoRefresh() {
-  if (!autorefreshLoaded) {
-    autorefreshLoaded = new Promise((resolve) => {
-      const script = document.createElement("script");
-      script.src =
-        "https://cdnjs.cloudflare.com/ajax/libs/codemirror/5.32.0/addon/display/autorefresh.min.js";
-      script.onload = resolve;
-      document.head.appendChild(script);
-    });
+function worstSeverity(diagnostics) {
+  const [worst] = diagnostics
+    .map(({ severity }) => severity)
+    .sort(
+      (left, right) => severities.indexOf(left) - severities.indexOf(right)
+    );
+  return worst;
+}
+
+function gutterMarker(diagnostics) {
+  const worst = worstSeverity(diagnostics);
+  const messages = new Set(
+    diagnostics.map(({ severity, message }) => `${severity}: ${message}`)
+  );
+
+  const marker = document.createElement("span");
+  marker.textContent = "●";
+  marker.title = [...messages].join("\n");
+  marker.style.color = severityColors[worst];
+  marker.style.cursor = "default";
+  return marker;
+}
+
+// completion understands the Turtle family of syntaxes only
+const COMPLETION_FORMATS = [
+  mediaTypes.turtle,
+  mediaTypes.trig,
+  mediaTypes.notation3,
+];
+
+// prefixed name being typed or hovered
+const WORD_BEFORE = /[\w-]*(?::[\w-]*)?$/;
+const WORD_AFTER = /^[\w-]*/;
+
+function loadAddon(path) {
+  if (!addonsLoaded.has(path)) {
+    addonsLoaded.set(
+      path,
+      new Promise((resolve) => {
+        const script = document.createElement("script");
+        script.src = `${CODEMIRROR_ADDONS}/${path}.min.js`;
+        script.onload = resolve;
+        document.head.appendChild(script);
+      })
+    );
+  }
+
+  return addonsLoaded.get(path);
+}
+
+function loadAddonStyles(path) {
+  const href = `${CODEMIRROR_ADDONS}/${path}.min.css`;
+  // the completion list is rendered in the document body, outside of the shadow root
+  if (!document.head.querySelector(`link[href="${href}"]`)) {
+    const link = document.createElement("link");
+    link.rel = "stylesheet";
+    link.href = href;
+    document.head.appendChild(link);
   }
+}
 
-  return autorefreshLoaded;
+function renderCompletion(element, { text, comment }) {
+  element.append(text);
+  if (comment) {
+    const doc = document.createElement("small");
+    doc.textContent = comment;
+    doc.style.display = "block";
+    doc.style.maxWidth = "400px";
+    doc.style.whiteSpace = "normal";
+    doc.style.opacity = "0.7";
+    element.appendChild(doc);
+  }
 }
 
 class GraphEditor extends connect(store, LitElement) {
@@ -40,6 +121,24 @@ class GraphEditor extends connect(store, LitElement) {
       rdf-editor {
         flex: 1;
       }
+
+      :host([dragging]) rdf-editor {
+        outline: 2px dashed var(--lumo-primary-color, #1676f3);
+        outline-offset: -2px;
+      }
+
+      rdf-editor::part(highlight) {
+        background-color: #fff3b0;
+      }
+
+      ${unsafeCSS(
+        Object.entries(severityColors)
+          .map(
+            ([severity, color]) =>
+              `rdf-editor::part(diagnostic-${severity.toLowerCase()}) { text-decoration: underline wavy ${color}; }`
+          )
+          .join("\n")
+      )}
     `;
   }
 
@@ -50,34 +149,313 @@ class GraphEditor extends connect(store, LitElement) {
       model: { type: String },
       prefixes: { type: Array },
       customPrefixes: { type: Object },
+      highlight: { type: Object },
+      results: { type: Array },
+      parseError: { type: Object },
+      shapesQuads: { type: Array },
+      dataQuads: { type: Array },
+      revision: { type: Number },
     };
   }
 
-  async firstUpdated() {
+  constructor() {
+    super();
+    this.__parsedPrefixes = {};
+    // capturing, so that dropped files do not get inserted into the text by CodeMirror
+    this.addEventListener("dragover", (e) => this.__dragOver(e), true);
+    this.addEventListener("dragleave", () => this.removeAttribute("dragging"));
+    this.addEventListener("drop", (e) => this.__drop(e), true);
+  }
+
+  firstUpdated() {
+    this.__setupEditor();
+  }
+
+  async __setupEditor() {
     const editor = this.shadowRoot.querySelector("rdf-editor");
     await editor.ready;
 
-    await autoRefresh();
+    await loadAddon("display/autorefresh");
     editor.codeMirror.editor.setOption("autoRefresh", true);
+    editor.codeMirror.editor.on("change", () => this.__clearHighlight());
+
+    const cm = editor.codeMirror.editor;
+    cm.setOption("gutters", [...cm.getOption("gutters"), DIAGNOSTICS_GUTTER]);
+    cm.getGutterElement().querySelector(`.${DIAGNOSTICS_GUTTER}`).style.width =
+      "1em";
+    this.__showDiagnostics();
+    this.__setupCompletion(cm);
+  }
+
+  async __setupCompletion(cm) {
+    loadAddonStyles("hint/show-hint");
+    await loadAddon("hint/show-hint");
+
+    const showHint = () =>
+      COMPLETION_FORMATS.includes(this.format) &&
+      cm.showHint({ hint: () => this.__hint(cm), completeSingle: false });
+    cm.setOption("extraKeys", {
+      ...cm.getOption("extraKeys"),
+      "Ctrl-Space": showHint,
+    });
+    cm.on("inputRead", (instance, { text }) => {
+      const { type } = cm.getTokenAt(cm.getCursor());
+      if (
+        !cm.state.completionActive &&
+        /[\w:]/.test(text.join("")) &&
+        !/string|comment/.test(type || "")
+      ) {
+        showHint();
+      }
+    });
+
+    const wrapper = cm.getWrapperElement();
+    wrapper.addEventListener("mousemove", (e) => {
+      if (!COMPLETION_FORMATS.includes(this.format)) {
+        wrapper.title = "";
+        return;
+      }
+
+      const { line, ch } = cm.coordsChar(
+        { left: e.clientX, top: e.clientY },
+        "window"
+      );
+      const text = cm.getLine(line) || "";
+      const name =
+        WORD_BEFORE.exec(text.substring(0, ch))[0] +
+        WORD_AFTER.exec(text.substring(ch))[0];
+      wrapper.title = documentation(name, this.__prefixMap(cm)) || "";
+    });
+  }
+
+  __prefixMap(cm) {
+    // the declarations are only looked up again after the text or prefixes changed
+    const generation = cm.changeGeneration();
+    const cache = this.__prefixMapCache;
+    if (
+      cache?.generation !== generation ||
+      cache.prefixes !== this.prefixes ||
+      cache.customPrefixes !== this.customPrefixes
+    ) {
+      this.__prefixMapCache = {
+        generation,
+        prefixes: this.prefixes,
+        customPrefixes: this.customPrefixes,
+        prefixMap: namespaces({
+          prefixes: this.prefixes,
+          customPrefixes: this.customPrefixes,
+          text: cm.getValue(),
+        }),
+      };
+    }
+
+    return this.__prefixMapCache.prefixMap;
+  }
+
+  __hint(cm) {
+    const cursor = cm.getCursor();
+    const word = WORD_BEFORE.exec(
+      cm.getLine(cursor.line).substring(0, cursor.ch)
+    )[0];
+    const from = { line: cursor.line, ch: cursor.ch - word.length };
+
+    const list = completions({
+      word,
+      textBefore: cm.getRange({ line: 0, ch: 0 }, from),
+      prefixMap: this.__prefixMap(cm),
+      iris: [
+        ...usedIris(this.dataQuads || []),
+        ...usedIris(this.shapesQuads || []),
+      ],
+      shapes: this.model === "shapesGraph",
+    }).map((completion) => ({
+      text: completion.text,
+      render: (element) => renderCompletion(element, completion),
+    }));
+
+    return { list, from, to: cursor };
+  }
+
+  willUpdate(changed) {
+    if (changed.has("prefixes") || changed.has("customPrefixes")) {
+      const current = {
+        prefixes: this.prefixes,
+        customPrefixes: this.customPrefixes,
+      };
+      // changing prefixes reserializes the text, which is unnecessary for the ones it already declares
+      if (
+        !this.__editorPrefixes ||
+        !onlyDeclared(this.__editorPrefixes, current, this.__parsedPrefixes)
+      ) {
+        this.__editorPrefixes = current;
+      }
+    }
+  }
+
+  updated(changed) {
+    super.updated(changed);
+
+    if (changed.has("revision") && changed.get("revision") !== undefined) {
+      this.__highlightMarkers = [];
+      this.__diagnosticMarkers = [];
+      this.__setupEditor();
+    }
+    if (changed.has("highlight") && this.highlight) {
+      this.__highlight();
+    }
+    if (changed.has("results") || changed.has("parseError")) {
+      this.__showDiagnostics();
+    }
+  }
+
+  async __showDiagnostics() {
+    const editor = this.shadowRoot.querySelector("rdf-editor");
+    await editor.ready;
+
+    const cm = editor.codeMirror.editor;
+    if (!cm.getOption("gutters").includes(DIAGNOSTICS_GUTTER)) {
+      return;
+    }
+
+    let diagnostics = new Map();
+    if (this.parseError) {
+      diagnostics.set(this.parseError.line, [
+        { severity: "Error", message: this.parseError.message },
+      ]);
+    } else if (this.model === "dataGraph") {
+      diagnostics = dataGraphDiagnostics(
+        this.results,
+        editor.value,
+        this.format
+      );
+    } else if (this.shapesQuads) {
+      diagnostics = shapesGraphDiagnostics(
+        this.results,
+        editor.value,
+        this.format,
+        rdf.dataset(this.shapesQuads)
+      );
+    }
+
+    cm.clearGutter(DIAGNOSTICS_GUTTER);
+    (this.__diagnosticMarkers || []).forEach((marker) => marker.clear());
+    this.__diagnosticMarkers = [];
+    for (const [line, lineDiagnostics] of diagnostics) {
+      cm.setGutterMarker(
+        line,
+        DIAGNOSTICS_GUTTER,
+        gutterMarker(lineDiagnostics)
+      );
+
+      // underline the statement, leaving out the indentation
+      const text = cm.getLine(line) || "";
+      this.__diagnosticMarkers.push(
+        cm.markText(
+          { line, ch: text.length - text.trimStart().length },
+          { line, ch: text.length },
+          {
+            attributes: {
+              part: `diagnostic-${worstSeverity(
+                lineDiagnostics
+              ).toLowerCase()}`,
+            },
+          }
+        )
+      );
+    }
+  }
+
+  async __highlight() {
+    const editor = this.shadowRoot.querySelector("rdf-editor");
+    await editor.ready;
+
+    const cm = editor.codeMirror.editor;
+    this.__clearHighlight();
+
+    const lines = locate(editor.value, this.format, this.highlight);
+    if (lines.length === 0) {
+      return;
+    }
+
+    this.__highlightMarkers = lines.map((line) =>
+      cm.markText(
+        { line, ch: 0 },
+        { line, ch: cm.getLine(line).length },
+        { attributes: { part: "highlight" } }
+      )
+    );
+    cm.scrollIntoView(
+      { from: { line: lines[0], ch: 0 }, to: { line: lines.at(-1), ch: 0 } },
+      50
+    );
+    cm.setCursor({ line: lines[0], ch: 0 });
+    cm.focus();
+  }
+
+  __clearHighlight() {
+    (this.__highlightMarkers || []).forEach((marker) => marker.clear());
+    this.__highlightMarkers = [];
   }
 
   render() {
     return html`
       <slot name="header"></slot>
-      <rdf-editor
-        .format="${this.format}"
-        .value="${this.graph}"
-        auto-parse
-        .parseDelay="${PARSE_DELAY}"
-        .prefixes="${this.prefixes.join(",")}"
-        .customPrefixes="${this.customPrefixes}"
-        @quads-changed="${this.__quadsChanged}"
-        @focus="${(e) => this.__forwardEvent(e)}"
-        @blur="${(e) => this.__forwardEvent(e)}"
-      ></rdf-editor>
+      ${keyed(
+        this.revision,
+        html`<rdf-editor
+          .format="${this.format}"
+          .value="${this.graph}"
+          auto-parse
+          .parseDelay="${PARSE_DELAY}"
+          .prefixes="${this.__editorPrefixes.prefixes.join(",")}"
+          .customPrefixes="${this.__editorPrefixes.customPrefixes}"
+          @quads-changed="${this.__quadsChanged}"
+          @prefixes-parsed="${this.__prefixesParsed}"
+          @parsing-failed="${this.__parsingFailed}"
+          @focus="${(e) => this.__forwardEvent(e)}"
+          @blur="${(e) => this.__forwardEvent(e)}"
+        ></rdf-editor>`
+      )}
     `;
   }
 
+  __dragOver(e) {
+    if (!e.dataTransfer.types.includes("Files")) {
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = "copy";
+    this.setAttribute("dragging", "");
+  }
+
+  async __drop(e) {
+    const item = [...e.dataTransfer.items].find(({ kind }) => kind === "file");
+    this.removeAttribute("dragging");
+    if (!item) {
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    // both must be requested before the event handler returns
+    const file = item.getAsFile();
+    let handle;
+    try {
+      handle = await item.getAsFileSystemHandle?.();
+    } catch (error) {
+      store.dispatch[this.model].fetchFailed(error.message);
+      return;
+    }
+
+    store.dispatch.playground.openFile({
+      model: this.model,
+      file,
+      handle: handle?.kind === "file" ? handle : undefined,
+    });
+  }
+
   __forwardEvent(e) {
     this.dispatchEvent(new Event(e.type));
   }
@@ -89,12 +467,41 @@ class GraphEditor extends connect(store, LitElement) {
     });
   }
 
+  __prefixesParsed(e) {
+    this.__parsedPrefixes =
+      this.format === mediaTypes.jsonLd
+        ? { ...e.detail.prefixes, ...jsonLdContext(e.target.value).prefixes }
+        : e.detail.prefixes;
+
+    store.dispatch[this.model].declarePrefixes(this.__parsedPrefixes);
+  }
+
+  __parsingFailed(e) {
+    const { error, notFound } = e.detail;
+
+    store.dispatch[this.model].parsingFailed({
+      message: notFound
+        ? `No parser found for ${this.format}`
+        : error?.message || "Failed to parse",
+      line: errorLine(error, e.target.value),
+    });
+  }
+
   mapState(state) {
     return {
       format: state[this.model].format,
       prefixes: state[this.model].prefixes,
       customPrefixes: state[this.model].customPrefixes || {},
       graph: state[this.model].graph,
+      revision: state[this.model].revision,
+      parseError: state[this.model].parseError,
+      results: state.validation.results,
+      shapesQuads: state.shapesGraph.quads,
+      dataQuads: state.dataGraph.quads,
+      highlight:
+        state.playground.highlight?.model === this.model
+          ? state.playground.highlight
+          : null,
     };
   }
 }
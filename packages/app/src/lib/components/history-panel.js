@@ -0,0 +1,261 @@
+import { connect } from "@captaincodeman/rdx";
+import { css, html, LitElement } from "lit";
+import "@vaadin/button/vaadin-button.js";
+import { store } from "../store/index.js";
+import { compare } from "../expectations.js";
+import { diffGraphs } from "../graph-diff.js";
+import { renderResults } from "./expectation-diff.js";
+
+const reasons = {
+  edit: "edited",
+  load: "loaded",
+  restore: "restored",
+};
+
+function describe({ model, reason, dataGraph }) {
+  const graph =
+    model === "shapesGraph" ? "Shapes graph" : dataGraph.name || "Data graph";
+
+  return `${graph} ${reasons[reason]}`;
+}
+
+function outcomeText(outcome) {
+  if (!outcome) {
+    return "Not validated";
+  }
+  if (outcome.error) {
+    return `Error: ${outcome.error}`;
+  }
+
+  const count = outcome.results.length;
+  return outcome.conforms
+    ? "Conforms"
+    : `Does not conform, ${count} result${count === 1 ? "" : "s"}`;
+}
+
+class HistoryPanel extends connect(store, LitElement) {
+  static get styles() {
+    return css`
+      :host {
+        display: block;
+        max-width: 900px;
+      }
+
+      table {
+        border-collapse: collapse;
+        font-size: var(--lumo-font-size-s, small);
+      }
+
+      th,
+      td {
+        border-bottom: 1px solid var(--lumo-contrast-10pct, #eee);
+        padding: 2px 6px;
+        text-align: left;
+        vertical-align: middle;
+      }
+
+      pre {
+        margin: 0;
+        white-space: pre-wrap;
+        word-break: break-all;
+        font-size: var(--lumo-font-size-xs, x-small);
+      }
+
+      .added {
+        color: green;
+      }
+
+      .removed {
+        color: orangered;
+      }
+
+      [hidden] {
+        display: none;
+      }
+    `;
+  }
+
+  static get properties() {
+    return {
+      snapshots: { type: Array },
+      compared: { type: Array },
+      diff: { type: Object },
+      diffError: { type: String },
+    };
+  }
+
+  constructor() {
+    super();
+    this.snapshots = [];
+    this.compared = [];
+  }
+
+  render() {
+    if (this.snapshots.length === 0) {
+      return html`<p>Nothing has been edited yet</p>`;
+    }
+
+    return html`
+      <p>Select two snapshots to compare them</p>
+      <table>
+        <thead>
+          <tr>
+            <th></th>
+            <th>Time</th>
+            <th>Change</th>
+            <th>Validation</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${[...this.snapshots].reverse().map(
+            (snapshot) => html`
+              <tr>
+                <td>
+                  <input
+                    type="checkbox"
+                    title="Compare"
+                    .checked="${this.compared.includes(snapshot.id)}"
+                    @change="${() => this.__toggleCompared(snapshot.id)}"
+                  />
+                </td>
+                <td>${new Date(snapshot.timestamp).toLocaleTimeString()}</td>
+                <td>${describe(snapshot)}</td>
+                <td>${outcomeText(snapshot.outcome)}</td>
+                <td>
+                  <vaadin-button
+                    theme="small tertiary"
+                    @click="${() =>
+                      store.dispatch.history.restore(snapshot.id)}"
+                  >
+                    <iron-icon
+                      icon="vaadin:time-backward"
+                      slot="prefix"
+                    ></iron-icon>
+                    Restore
+                  </vaadin-button>
+                </td>
+              </tr>
+            `
+          )}
+        </tbody>
+      </table>
+      ${this.__renderDiff()}
+    `;
+  }
+
+  mapState(state) {
+    return {
+      snapshots: state.history.snapshots,
+    };
+  }
+
+  updated(changed) {
+    if (changed.has("snapshots") || changed.has("compared")) {
+      this.__computeDiff();
+    }
+  }
+
+  __toggleCompared(id) {
+    this.compared = this.compared.includes(id)
+      ? this.compared.filter((other) => other !== id)
+      : [...this.compared, id].slice(-2);
+  }
+
+  __comparedSnapshots() {
+    return this.snapshots.filter(({ id }) => this.compared.includes(id));
+  }
+
+  async __computeDiff() {
+    const snapshots = this.__comparedSnapshots();
+    if (snapshots.length !== 2) {
+      this.__diffed = undefined;
+      this.diff = undefined;
+      this.diffError = undefined;
+      return;
+    }
+
+    const [older, newer] = snapshots;
+    // snapshots are taken and get outcomes while editing, which does not change the compared graphs
+    const graphs = [
+      older.shapesGraph,
+      newer.shapesGraph,
+      older.dataGraph,
+      newer.dataGraph,
+    ];
+    if (this.__diffed?.every((graph, index) => graph === graphs[index])) {
+      return;
+    }
+
+    this.__diffed = graphs;
+    try {
+      const [shapesGraph, dataGraph] = await Promise.all([
+        diffGraphs(older.shapesGraph, newer.shapesGraph),
+        diffGraphs(older.dataGraph, newer.dataGraph),
+      ]);
+      // another pair may have been selected in the meantime
+      const [currentOlder, currentNewer] = this.__comparedSnapshots();
+      if (currentOlder === older && currentNewer === newer) {
+        this.diff = { shapesGraph, dataGraph };
+        this.diffError = undefined;
+      }
+    } catch (e) {
+      this.diffError = e.message;
+    }
+  }
+
+  __renderDiff() {
+    const [older, newer] = this.__comparedSnapshots();
+    if (this.diffError) {
+      return html`<p>Could not compare the snapshots: ${this.diffError}</p>`;
+    }
+    if (!this.diff || !newer) {
+      return "";
+    }
+
+    const { shapesGraph, dataGraph } = this.diff;
+    return html`
+      <h3>
+        Changes from ${new Date(older.timestamp).toLocaleTimeString()} to
+        ${new Date(newer.timestamp).toLocaleTimeString()}
+      </h3>
+      ${this.__renderTriples("Shapes graph", shapesGraph)}
+      ${this.__renderTriples(
+        older.dataGraph.id === newer.dataGraph.id
+          ? newer.dataGraph.name || "Data graph"
+          : `${older.dataGraph.name} and ${newer.dataGraph.name}`,
+        dataGraph
+      )}
+      <h4>Validation</h4>
+      ${this.__renderValidation(older.outcome, newer.outcome)}
+    `;
+  }
+
+  __renderTriples(title, { added, removed }) {
+    return html`
+      <h4>${title}: ${added.length} added, ${removed.length} removed</h4>
+      ${removed.map((triple) => html`<pre class="removed">- ${triple}</pre>`)}
+      ${added.map((triple) => html`<pre class="added">+ ${triple}</pre>`)}
+    `;
+  }
+
+  __renderValidation(before, after) {
+    if (!before?.results || !after?.results) {
+      return html`<p>${outcomeText(before)} → ${outcomeText(after)}</p>`;
+    }
+
+    // results of the older snapshot missing from the newer one have been resolved
+    const { passed, missing, unexpected } = compare(before, after);
+    if (passed) {
+      return html`<p>Unchanged: ${outcomeText(after)}</p>`;
+    }
+
+    return html`
+      <p>${outcomeText(before)} → ${outcomeText(after)}</p>
+      ${renderResults("Resolved results", missing)}
+      ${renderResults("New results", unexpected)}
+    `;
+  }
+}
+
+customElements.define("history-panel", HistoryPanel);
@@ -0,0 +1,316 @@
+import { css, html, LitElement, render } from "lit";
+import "@vaadin/select/vaadin-select.js";
+import "@vaadin/list-box/vaadin-list-box.js";
+import "@vaadin/item/vaadin-item.js";
+import "@vaadin/text-field/vaadin-text-field.js";
+import { severities } from "../severity.js";
+import { columns, focusNodeGraphLabel, toRow } from "../result-rows.js";
+import { isHighlighted } from "../highlight.js";
+
+// vaadin-select treats an empty value as no selection
+const NO_GROUPING = "none";
+const groupings = Object.entries({
+  [NO_GROUPING]: "No grouping",
+  sourceShape: "Source shape",
+  component: "Constraint component",
+});
+
+class ResultsTable extends LitElement {
+  static get styles() {
+    return css`
+      :host {
+        display: block;
+        overflow: auto;
+      }
+
+      table {
+        border-collapse: collapse;
+        width: 100%;
+        font-size: var(--lumo-font-size-s, small);
+      }
+
+      th,
+      td {
+        border-bottom: 1px solid var(--lumo-contrast-10pct, #eee);
+        padding: 2px 6px;
+        text-align: left;
+        vertical-align: top;
+      }
+
+      thead th {
+        position: sticky;
+        top: 0;
+        background: white;
+      }
+
+      th.sortable {
+        cursor: pointer;
+        white-space: nowrap;
+      }
+
+      vaadin-text-field {
+        width: 100%;
+        min-width: 6em;
+      }
+
+      tr.selected td {
+        background: var(--lumo-primary-color-10pct, #e8f0fe);
+      }
+
+      tr.group th {
+        background: var(--lumo-contrast-5pct, #f5f5f5);
+      }
+
+      iron-icon {
+        --iron-icon-width: 1em;
+        --iron-icon-height: 1em;
+      }
+    `;
+  }
+
+  static get properties() {
+    return {
+      results: { type: Array },
+      customPrefixes: { type: Object },
+      sortBy: { type: String },
+      sortDirection: { type: Number },
+      filters: { type: Object },
+      groupBy: { type: String },
+      highlight: { type: Object },
+      focusNodeGraphs: { type: Object },
+    };
+  }
+
+  constructor() {
+    super();
+    this.results = [];
+    this.customPrefixes = {};
+    this.focusNodeGraphs = {};
+    this.sortDirection = 1;
+    this.filters = {};
+    this.groupBy = "";
+  }
+
+  render() {
+    const rows = this.__rows();
+
+    return html`
+      <vaadin-select
+        label="Group by"
+        theme="small"
+        value="${this.groupBy || NO_GROUPING}"
+        @value-changed="${(e) =>
+          this.__group(
+            e.detail.value === NO_GROUPING ? "" : e.detail.value || ""
+          )}"
+        .renderer="${this.__renderGroupings}"
+      ></vaadin-select>
+      <span>${rows.length} of ${this.results.length} results</span>
+      <table>
+        <thead>
+          <tr>
+            ${columns.map(
+              ([key, name]) => html`
+                <th class="sortable" @click="${() => this.__sort(key)}">
+                  ${name} ${this.__sortIndicator(key)}
+                </th>
+              `
+            )}
+          </tr>
+          <tr>
+            ${columns.map(
+              ([key, name]) => html`
+                <th>
+                  <vaadin-text-field
+                    theme="small"
+                    placeholder="Filter"
+                    aria-label="Filter ${name}"
+                    clear-button-visible
+                    .value="${this.filters[key] || ""}"
+                    @value-changed="${(e) =>
+                      this.__filter(key, e.detail.value)}"
+                  ></vaadin-text-field>
+                </th>
+              `
+            )}
+          </tr>
+        </thead>
+        ${this.__groups(rows).map(
+          ([group, groupRows]) => html`
+            <tbody>
+              ${this.groupBy
+                ? html`
+                    <tr class="group">
+                      <th colspan="${columns.length}">
+                        ${group || "(none)"} (${groupRows.length})
+                      </th>
+                    </tr>
+                  `
+                : ""}
+              ${groupRows.map((row) => this.__renderRow(row))}
+            </tbody>
+          `
+        )}
+      </table>
+    `;
+  }
+
+  __renderGroupings(root) {
+    render(
+      html`
+        <vaadin-list-box>
+          ${groupings.map(
+            ([key, name]) => html`
+              <vaadin-item value="${key}">${name}</vaadin-item>
+            `
+          )}
+        </vaadin-list-box>
+      `,
+      root
+    );
+  }
+
+  __renderRow(row) {
+    const { icon, color } = severities[row.severity] || severities.Violation;
+
+    return html`
+      <tr class="${isHighlighted(row.terms, this.highlight) ? "selected" : ""}">
+        <td>
+          <a
+            href="#"
+            title="Show in data graph"
+            @click="${this.__notify("result-selected", row.terms)}"
+            >${row.focusNode}</a
+          >
+          ${this.__renderGraphs(row.terms.focusNode)}
+        </td>
+        <td>${row.path}</td>
+        <td>${row.value}</td>
+        <td>
+          <iron-icon icon="${icon}" style="color: ${color}"></iron-icon>
+          ${row.severity}
+        </td>
+        <td>${row.component}</td>
+        <td>
+          <a
+            href="#"
+            title="Show shape"
+            @click="${this.__notify("shape-selected", row.terms)}"
+            >${row.sourceShape}</a
+          >
+        </td>
+        <td>${row.message}</td>
+      </tr>
+    `;
+  }
+
+  __renderGraphs(focusNode) {
+    const graphs = focusNodeGraphLabel(
+      focusNode,
+      this.focusNodeGraphs,
+      this.customPrefixes
+    );
+
+    return graphs ? html`<small>in ${graphs}</small>` : "";
+  }
+
+  __rows() {
+    const filters = Object.entries(this.filters)
+      .filter(([, text]) => text)
+      .map(([key, text]) => [key, text.toLowerCase()]);
+
+    const rows = this.results
+      .map((result) => toRow(result, this.customPrefixes))
+      .filter((row) =>
+        filters.every(([key, text]) => row[key].toLowerCase().includes(text))
+      );
+
+    if (this.sortBy) {
+      rows.sort(
+        (left, right) =>
+          left[this.sortBy].localeCompare(right[this.sortBy]) *
+          this.sortDirection
+      );
+    }
+
+    return rows;
+  }
+
+  __groups(rows) {
+    if (!this.groupBy) {
+      return [["", rows]];
+    }
+
+    const groups = rows.reduce((map, row) => {
+      const key = row[this.groupBy];
+      map.set(key, [...(map.get(key) || []), row]);
+      return map;
+    }, new Map());
+
+    return [...groups].sort(([left], [right]) => left.localeCompare(right));
+  }
+
+  __sortIndicator(key) {
+    if (this.sortBy !== key) {
+      return "";
+    }
+
+    return this.sortDirection > 0 ? "▲" : "▼";
+  }
+
+  __sort(key) {
+    if (this.sortBy === key) {
+      this.sortDirection = -this.sortDirection;
+    } else {
+      this.sortBy = key;
+      this.sortDirection = 1;
+    }
+    this.__notifyArranged();
+  }
+
+  __filter(key, text) {
+    if (text === (this.filters[key] || "")) {
+      return;
+    }
+
+    this.filters = { ...this.filters, [key]: text };
+    this.__notifyArranged();
+  }
+
+  __group(groupBy) {
+    if (groupBy === this.groupBy) {
+      return;
+    }
+
+    this.groupBy = groupBy;
+    this.__notifyArranged();
+  }
+
+  __notifyArranged() {
+    const { sortBy, sortDirection, filters, groupBy } = this;
+
+    this.dispatchEvent(
+      new CustomEvent("table-arranged", {
+        detail: { sortBy, sortDirection, filters, groupBy },
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
+  __notify(name, { focusNode, path, value, shape }) {
+    return (e) => {
+      e.preventDefault();
+
+      this.dispatchEvent(
+        new CustomEvent(name, {
+          detail: { focusNode, path, value, shape },
+          bubbles: true,
+          composed: true,
+        })
+      );
+    };
+  }
+}
+
+customElements.define("results-table", ResultsTable);
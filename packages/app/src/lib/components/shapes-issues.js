@@ -0,0 +1,95 @@
+import { css, html, LitElement } from "lit";
+import { shrink } from "@zazuko/prefixes/shrink";
+import { severities } from "../severity.js";
+
+const severityOrder = Object.keys(severities);
+
+function bySeverity(left, right) {
+  return (
+    severityOrder.indexOf(left.severity) - severityOrder.indexOf(right.severity)
+  );
+}
+
+function showShape(issue) {
+  return (e) => {
+    e.preventDefault();
+
+    e.target.dispatchEvent(
+      new CustomEvent("shape-selected", {
+        detail: { shape: issue.focusNode },
+        bubbles: true,
+        composed: true,
+      })
+    );
+  };
+}
+
+class ShapesIssues extends LitElement {
+  static get styles() {
+    return css`
+      iron-icon {
+        --iron-icon-width: 1em;
+        --iron-icon-height: 1em;
+      }
+
+      .location {
+        font-size: var(--lumo-font-size-s, small);
+        margin-left: 0.5em;
+        color: var(--lumo-secondary-text-color, grey);
+      }
+    `;
+  }
+
+  static get properties() {
+    return {
+      issues: { type: Array },
+      customPrefixes: { type: Object },
+    };
+  }
+
+  constructor() {
+    super();
+    this.issues = [];
+  }
+
+  render() {
+    return html`
+      <ul>
+        ${[...this.issues]
+          .sort(bySeverity)
+          .map((issue) => this.__renderIssue(issue))}
+      </ul>
+    `;
+  }
+
+  __renderIssue(issue) {
+    const { icon, color } = severities[issue.severity] || severities.Violation;
+
+    return html`
+      <li>
+        <iron-icon
+          icon="${icon}"
+          style="color: ${color}"
+          title="${issue.severity}"
+        ></iron-icon>
+        <a href="#" title="${issue.check}" @click="${showShape(issue)}">
+          ${issue.message}
+        </a>
+        <span class="location">
+          ${this.__label(issue.focusNode)}
+          ${issue.path ? this.__label(issue.path) : ""}
+        </span>
+      </li>
+    `;
+  }
+
+  __label(term) {
+    if (term.termType !== "NamedNode") {
+      return "blank node";
+    }
+
+    return shrink(term.value, this.customPrefixes) || term.value;
+  }
+}
+
+customElements.define("shapes-issues", ShapesIssues);
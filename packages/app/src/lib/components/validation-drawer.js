@@ -1,23 +1,65 @@
 import { connect } from "@captaincodeman/rdx";
-import { html, LitElement } from "lit";
+import { css, html, LitElement, render } from "lit";
+import { shrink } from "@zazuko/prefixes/shrink";
 import "@vaadin/form-layout/vaadin-form-layout.js";
 import "@vaadin/form-layout/vaadin-form-item.js";
 import "@vaadin/list-box/vaadin-list-box.js";
 import "@vaadin/item/vaadin-item.js";
+import "@vaadin/select/vaadin-select.js";
+import "@vaadin/button/vaadin-button.js";
+import "@vaadin/text-field/vaadin-text-field.js";
 import { store } from "../store/index.js";
+import { severities } from "../severity.js";
+import { exportFormats } from "../downloads.js";
+import { toggles, usesSparql } from "../validator-settings.js";
+import { DEFAULT_GRAPH, namedGraphs } from "../named-graphs.js";
 
 const displayModes = Object.entries({
   tree: "Focus node tree",
+  table: "Table",
   raw: "Raw RDF",
 });
 
+function focusNodeCount(count) {
+  return `${count} focus node${count === 1 ? "" : "s"}`;
+}
+
 class ValidationDrawer extends connect(store, LitElement) {
+  static get styles() {
+    return css`
+      vaadin-item small {
+        color: var(--lumo-secondary-text-color, gray);
+      }
+
+      [hidden] {
+        display: none;
+      }
+    `;
+  }
+
   static get properties() {
     return {
       display: { type: String },
+      severityFilter: { type: Array },
+      counts: { type: Object },
+      hasReport: { type: Boolean },
+      exportFormat: { type: String },
+      exportError: { type: String },
+      hasExpectation: { type: Boolean },
+      expectationError: { type: String },
+      settings: { type: Object },
+      skipsSparql: { type: Boolean },
+      targets: { type: Array },
+      graphs: { type: Array },
+      customPrefixes: { type: Object },
     };
   }
 
+  constructor() {
+    super();
+    this.exportFormat = "turtle";
+  }
+
   render() {
     return html`
       <vaadin-form-layout>
@@ -36,6 +78,162 @@ class ValidationDrawer extends connect(store, LitElement) {
             )}
           </vaadin-list-box>
         </vaadin-form-item>
+        <vaadin-form-item label-position="top">
+          <label slot="label">Show severities</label>
+          <vaadin-list-box
+            multiple
+            .selectedValues="${Object.keys(severities)
+              .map((severity, index) =>
+                this.severityFilter.includes(severity) ? index : -1
+              )
+              .filter((index) => index >= 0)}"
+            @selected-values-changed="${this.__severitiesSelected}"
+          >
+            ${Object.entries(severities).map(
+              ([severity, { icon, color }]) => html`
+                <vaadin-item value="${severity}">
+                  <iron-icon icon="${icon}" style="color: ${color}"></iron-icon>
+                  ${severity} (${this.counts[severity]})
+                </vaadin-item>
+              `
+            )}
+          </vaadin-list-box>
+        </vaadin-form-item>
+        <vaadin-form-item label-position="top">
+          <label slot="label">Validator settings</label>
+          <vaadin-text-field
+            label="Max errors"
+            helper-text="The validator stops early once it finds that many"
+            placeholder="All"
+            allowed-char-pattern="[0-9]"
+            .value="${this.settings.maxErrors
+              ? String(this.settings.maxErrors)
+              : ""}"
+            @change="${this.__maxErrorsChanged}"
+          ></vaadin-text-field>
+          <vaadin-list-box
+            multiple
+            .selectedValues="${Object.keys(toggles)
+              .map((setting, index) => (this.settings[setting] ? index : -1))
+              .filter((index) => index >= 0)}"
+            @selected-values-changed="${this.__togglesSelected}"
+          >
+            ${Object.entries(toggles).map(
+              ([setting, label]) => html`
+                <vaadin-item value="${setting}">${label}</vaadin-item>
+              `
+            )}
+          </vaadin-list-box>
+          <p ?hidden="${!this.skipsSparql}">
+            The validator does not support SHACL-SPARQL, so the
+            <code>sh:sparql</code> constraints of the shapes graph are skipped
+          </p>
+        </vaadin-form-item>
+        <vaadin-form-item label-position="top">
+          <label slot="label">Shapes to validate</label>
+          <vaadin-list-box
+            multiple
+            .selectedValues="${this.targets
+              .map(({ active }, index) => (active ? index : -1))
+              .filter((index) => index >= 0)}"
+            @selected-values-changed="${this.__shapesSelected}"
+          >
+            ${this.targets.map(
+              ({ shape, focusNodes }) => html`
+                <vaadin-item
+                  value="${shape.value}"
+                  ?disabled="${shape.termType !== "NamedNode"}"
+                >
+                  ${shape.termType === "NamedNode"
+                    ? shrink(shape.value, this.customPrefixes) || shape.value
+                    : "Anonymous shape"}
+                  <small>${focusNodeCount(focusNodes)}</small>
+                </vaadin-item>
+              `
+            )}
+          </vaadin-list-box>
+          <vaadin-button
+            ?disabled="${this.settings.shapes.length === 0}"
+            @click="${() =>
+              store.dispatch.validation.configure({ shapes: [] })}"
+          >
+            All shapes
+          </vaadin-button>
+        </vaadin-form-item>
+        ${this.__renderGraphs()}
+        <vaadin-form-item label-position="top">
+          <label slot="label">Pinned focus nodes</label>
+          <vaadin-list-box>
+            ${this.settings.focusNodes.map(
+              (focusNode) => html`
+                <vaadin-item
+                  title="Unpin"
+                  @click="${() => this.__unpinFocusNode(focusNode)}"
+                >
+                  <iron-icon icon="vaadin:close-small"></iron-icon>
+                  ${shrink(focusNode, this.customPrefixes) || focusNode}
+                </vaadin-item>
+              `
+            )}
+          </vaadin-list-box>
+          <vaadin-text-field
+            placeholder="Focus node IRI"
+            helper-text="Only these focus nodes are validated when any are pinned"
+            @change="${this.__pinFocusNode}"
+          ></vaadin-text-field>
+        </vaadin-form-item>
+        <vaadin-form-item label-position="top">
+          <label slot="label">Export report</label>
+          <vaadin-select
+            value="${this.exportFormat}"
+            @value-changed="${(e) => {
+              this.exportFormat = e.detail.value;
+            }}"
+            .renderer="${this.__renderExportFormats}"
+          ></vaadin-select>
+          <vaadin-button
+            ?disabled="${!this.hasReport}"
+            @click="${this.__export}"
+          >
+            <iron-icon icon="vaadin:download" slot="prefix"></iron-icon>
+            Download
+          </vaadin-button>
+          <p ?hidden="${!this.exportError}">${this.exportError}</p>
+        </vaadin-form-item>
+        <vaadin-form-item label-position="top">
+          <label slot="label">Expected outcome</label>
+          <vaadin-button
+            ?disabled="${!this.hasReport}"
+            @click="${() => store.dispatch.expectations.expectActual()}"
+          >
+            Expect current results
+          </vaadin-button>
+          <vaadin-button
+            ?disabled="${!this.hasExpectation}"
+            @click="${this.__clearExpectation}"
+          >
+            Clear
+          </vaadin-button>
+          <vaadin-button @click="${this.__selectManifest}">
+            <iron-icon icon="vaadin:upload" slot="prefix"></iron-icon>
+            Import test manifest
+          </vaadin-button>
+          <vaadin-button
+            ?disabled="${!this.hasReport}"
+            @click="${() => store.dispatch.expectations.exportManifest()}"
+          >
+            <iron-icon icon="vaadin:download" slot="prefix"></iron-icon>
+            Export test manifest
+          </vaadin-button>
+          <input
+            id="manifest"
+            type="file"
+            accept=".ttl,text/turtle"
+            hidden
+            @change="${this.__importManifest}"
+          />
+          <p ?hidden="${!this.expectationError}">${this.expectationError}</p>
+        </vaadin-form-item>
       </vaadin-form-layout>
     `;
   }
@@ -43,14 +241,219 @@ class ValidationDrawer extends connect(store, LitElement) {
   mapState(state) {
     return {
       display: state.validation.display || "tree",
+      severityFilter: state.validation.severityFilter,
+      counts: state.validation.counts,
+      hasReport: !!state.validation.report,
+      exportError: state.validation.exportError,
+      hasExpectation: state.dataGraphs.selected in state.expectations.graphs,
+      expectationError: state.expectations.error,
+      settings: state.validation.settings,
+      targets: state.validation.targets,
+      graphs: namedGraphs(state.dataGraph.quads || []),
+      customPrefixes: {
+        ...state.shapesGraph.customPrefixes,
+        ...state.dataGraph.customPrefixes,
+      },
+      skipsSparql:
+        !state.validation.settings.rejectSparql &&
+        usesSparql(state.shapesGraph.quads || []),
     };
   }
 
+  __renderExportFormats(root) {
+    render(
+      html`
+        <vaadin-list-box>
+          ${Object.entries(exportFormats).map(
+            ([format, { label }]) => html`
+              <vaadin-item value="${format}">${label}</vaadin-item>
+            `
+          )}
+        </vaadin-list-box>
+      `,
+      root
+    );
+  }
+
+  __export() {
+    store.dispatch.validation.exportReport(this.exportFormat);
+  }
+
+  __clearExpectation() {
+    store.dispatch.expectations.clear(store.getState().dataGraphs.selected);
+  }
+
+  __selectManifest() {
+    this.renderRoot.querySelector("#manifest").click();
+  }
+
+  async __importManifest(e) {
+    const [file] = e.target.files;
+    if (file) {
+      store.dispatch.expectations.importManifest(await file.text());
+    }
+    e.target.value = "";
+  }
+
   __formatSelected(e) {
     if (e.target.items) {
       store.dispatch.validation.display(e.target.items[e.detail.value].value);
     }
   }
+
+  __maxErrorsChanged(e) {
+    store.dispatch.validation.configure({
+      maxErrors: Number.parseInt(e.target.value, 10) || 0,
+    });
+  }
+
+  __togglesSelected(e) {
+    if (!e.target.items) {
+      return;
+    }
+
+    const selected = e.detail.value.map((index) => e.target.items[index].value);
+    const changed = Object.keys(toggles).filter(
+      (setting) => !!this.settings[setting] !== selected.includes(setting)
+    );
+
+    if (changed.length > 0) {
+      store.dispatch.validation.configure(
+        Object.fromEntries(
+          changed.map((setting) => [setting, selected.includes(setting)])
+        )
+      );
+    }
+  }
+
+  __shapesSelected(e) {
+    if (!e.target.items) {
+      return;
+    }
+
+    const selected = e.detail.value.map((index) => e.target.items[index].value);
+    const named = this.targets
+      .filter(({ shape }) => shape.termType === "NamedNode")
+      .map(({ shape }) => shape.value);
+    const active = this.targets
+      .filter(({ active: isActive }) => isActive)
+      .map(({ shape }) => shape.value);
+    const unchanged =
+      selected.length === active.length &&
+      selected.every((shape) => active.includes(shape));
+
+    if (selected.length === 0) {
+      // an empty selection would validate all shapes, so the last one stays selected
+      this.requestUpdate();
+    } else if (!unchanged) {
+      store.dispatch.validation.configure({
+        shapes: named.every((shape) => selected.includes(shape))
+          ? []
+          : selected,
+      });
+    }
+  }
+
+  __renderGraphs() {
+    const { graphs } = this.settings;
+    if (this.graphs.length === 0 && graphs.length === 0) {
+      return "";
+    }
+
+    return html`
+      <vaadin-form-item label-position="top">
+        <label slot="label">Graphs to validate</label>
+        <vaadin-list-box
+          multiple
+          .selectedValues="${this.__graphOptions()
+            .map((graph, index) =>
+              graphs.length === 0 || graphs.includes(graph) ? index : -1
+            )
+            .filter((index) => index >= 0)}"
+          @selected-values-changed="${this.__graphsSelected}"
+        >
+          ${this.__graphOptions().map(
+            (graph) => html`
+              <vaadin-item>
+                ${graph === DEFAULT_GRAPH
+                  ? "Default graph"
+                  : shrink(graph, this.customPrefixes) || graph}
+              </vaadin-item>
+            `
+          )}
+        </vaadin-list-box>
+        <vaadin-button
+          ?disabled="${graphs.length === 0}"
+          @click="${() => store.dispatch.validation.configure({ graphs: [] })}"
+        >
+          All graphs
+        </vaadin-button>
+      </vaadin-form-item>
+    `;
+  }
+
+  __graphOptions() {
+    // graphs may stay selected after they were removed from the data graph
+    return [
+      ...new Set([DEFAULT_GRAPH, ...this.graphs, ...this.settings.graphs]),
+    ];
+  }
+
+  __graphsSelected(e) {
+    if (!e.target.items) {
+      return;
+    }
+
+    const options = this.__graphOptions();
+    const selected = e.detail.value.map((index) => options[index]);
+    const { graphs } = this.settings;
+    const active = graphs.length === 0 ? options : graphs;
+    const unchanged =
+      selected.length === active.length &&
+      selected.every((graph) => active.includes(graph));
+
+    if (selected.length === 0) {
+      // an empty selection would validate the union of all graphs, so the last one stays selected
+      this.requestUpdate();
+    } else if (!unchanged) {
+      store.dispatch.validation.configure({
+        graphs: options.every((graph) => selected.includes(graph))
+          ? []
+          : selected,
+      });
+    }
+  }
+
+  __pinFocusNode(e) {
+    const focusNode = e.target.value.trim();
+    if (focusNode && !this.settings.focusNodes.includes(focusNode)) {
+      store.dispatch.validation.configure({
+        focusNodes: [...this.settings.focusNodes, focusNode],
+      });
+    }
+    e.target.value = "";
+  }
+
+  __unpinFocusNode(focusNode) {
+    store.dispatch.validation.configure({
+      focusNodes: this.settings.focusNodes.filter((node) => node !== focusNode),
+    });
+  }
+
+  __severitiesSelected(e) {
+    if (!e.target.items) {
+      return;
+    }
+
+    const selected = e.detail.value.map((index) => e.target.items[index].value);
+    const unchanged =
+      selected.length === this.severityFilter.length &&
+      selected.every((severity) => this.severityFilter.includes(severity));
+
+    if (!unchanged) {
+      store.dispatch.validation.filterSeverities(selected);
+    }
+  }
 }
 
 customElements.define("validation-drawer", ValidationDrawer);
@@ -0,0 +1,230 @@
+import { connect } from "@captaincodeman/rdx";
+import { css, html, LitElement, render } from "lit";
+import "@vaadin/form-layout/vaadin-form-layout.js";
+import "@vaadin/form-layout/vaadin-form-item.js";
+import "@vaadin/list-box/vaadin-list-box.js";
+import "@vaadin/item/vaadin-item.js";
+import "@vaadin/select/vaadin-select.js";
+import "@vaadin/button/vaadin-button.js";
+import "@vaadin/text-field/vaadin-text-field.js";
+import "@vaadin/dialog/vaadin-dialog.js";
+import { store } from "../store/index.js";
+import { workspaceFormats } from "../workspace-file.js";
+
+class WorkspaceSwitcher extends connect(store, LitElement) {
+  static get styles() {
+    return css`
+      :host {
+        display: block;
+      }
+
+      vaadin-text-field {
+        width: 100%;
+      }
+
+      vaadin-item small {
+        color: var(--lumo-secondary-text-color, gray);
+      }
+
+      [hidden] {
+        display: none;
+      }
+    `;
+  }
+
+  static get properties() {
+    return {
+      active: { type: Object },
+      list: { type: Array },
+      versions: { type: Array },
+      error: { type: String },
+      exportFormat: { type: String },
+      removeOpen: { type: Boolean },
+    };
+  }
+
+  constructor() {
+    super();
+    this.list = [];
+    this.versions = [];
+    this.exportFormat = "json";
+  }
+
+  render() {
+    return html`
+      <vaadin-form-layout>
+        <vaadin-form-item label-position="top">
+          <label slot="label">Workspaces</label>
+          <vaadin-list-box
+            selected="${this.list.findIndex(
+              ({ id }) => id === this.active?.id
+            )}"
+            @selected-changed="${this.__workspaceSelected}"
+          >
+            ${this.list.map(
+              ({ name }) => html`<vaadin-item>${name}</vaadin-item>`
+            )}
+          </vaadin-list-box>
+          <vaadin-text-field
+            label="Name"
+            .value="${this.active?.name || ""}"
+            @change="${(e) => store.dispatch.workspaces.rename(e.target.value)}"
+          ></vaadin-text-field>
+          <vaadin-button @click="${() => store.dispatch.workspaces.create()}">
+            New
+          </vaadin-button>
+          <vaadin-button
+            ?disabled="${this.list.length < 2}"
+            @click="${() => {
+              this.removeOpen = true;
+            }}"
+          >
+            Delete
+          </vaadin-button>
+        </vaadin-form-item>
+        <vaadin-form-item label-position="top">
+          <label slot="label">Saved versions</label>
+          <vaadin-text-field
+            id="version-label"
+            placeholder="Label"
+          ></vaadin-text-field>
+          <vaadin-button @click="${this.__saveVersion}">
+            <iron-icon icon="vaadin:archive" slot="prefix"></iron-icon>
+            Save version
+          </vaadin-button>
+          <vaadin-list-box>
+            ${this.versions.map(
+              ({ id, label, created }) => html`
+                <vaadin-item
+                  title="Restore this version"
+                  @click="${() => store.dispatch.workspaces.restoreVersion(id)}"
+                >
+                  ${label}
+                  <small>${new Date(created).toLocaleString()}</small>
+                </vaadin-item>
+              `
+            )}
+          </vaadin-list-box>
+        </vaadin-form-item>
+        <vaadin-form-item label-position="top">
+          <label slot="label">Workspace file</label>
+          <vaadin-select
+            value="${this.exportFormat}"
+            @value-changed="${(e) => {
+              this.exportFormat = e.detail.value;
+            }}"
+            .renderer="${this.__renderFormats}"
+          ></vaadin-select>
+          <vaadin-button
+            @click="${() =>
+              store.dispatch.workspaces.exportWorkspace(this.exportFormat)}"
+          >
+            <iron-icon icon="vaadin:download" slot="prefix"></iron-icon>
+            Export
+          </vaadin-button>
+          <vaadin-button @click="${this.__selectFile}">
+            <iron-icon icon="vaadin:upload" slot="prefix"></iron-icon>
+            Import
+          </vaadin-button>
+          <input
+            id="file"
+            type="file"
+            accept=".json,.trig"
+            hidden
+            @change="${this.__import}"
+          />
+        </vaadin-form-item>
+        <p ?hidden="${!this.error}">${this.error}</p>
+      </vaadin-form-layout>
+
+      <vaadin-dialog
+        ?opened="${this.removeOpen}"
+        .renderer="${this.__renderRemove(this)}"
+        @opened-changed="${(e) => {
+          this.removeOpen = e.detail.value;
+        }}"
+      ></vaadin-dialog>
+    `;
+  }
+
+  mapState(state) {
+    return {
+      active: state.workspaces.active,
+      list: state.workspaces.list,
+      versions: state.workspaces.versions,
+      error: state.workspaces.error,
+    };
+  }
+
+  __renderFormats(root) {
+    render(
+      html`
+        <vaadin-list-box>
+          ${Object.entries(workspaceFormats).map(
+            ([format, { label }]) => html`
+              <vaadin-item value="${format}">${label}</vaadin-item>
+            `
+          )}
+        </vaadin-list-box>
+      `,
+      root
+    );
+  }
+
+  __workspaceSelected(e) {
+    const workspace = this.list[e.detail.value];
+    if (workspace) {
+      store.dispatch.workspaces.switchTo(workspace.id);
+    }
+  }
+
+  __renderRemove(parent) {
+    /* eslint-disable lit/no-template-bind */
+    return (root) => {
+      render(
+        html`
+          <p>Delete workspace "${parent.active?.name}"?</p>
+          <vaadin-button
+            theme="primary error"
+            @click="${parent.__remove.bind(parent)}"
+          >
+            Delete
+          </vaadin-button>
+          <vaadin-button @click="${parent.__closeRemove.bind(parent)}">
+            Cancel
+          </vaadin-button>
+        `,
+        root
+      );
+    };
+  }
+
+  __remove() {
+    store.dispatch.workspaces.remove();
+    this.__closeRemove();
+  }
+
+  __closeRemove() {
+    this.removeOpen = false;
+  }
+
+  __saveVersion() {
+    const field = this.renderRoot.querySelector("#version-label");
+    store.dispatch.workspaces.saveVersion(field.value);
+    field.value = "";
+  }
+
+  __selectFile() {
+    this.renderRoot.querySelector("#file").click();
+  }
+
+  __import(e) {
+    const [file] = e.target.files;
+    if (file) {
+      store.dispatch.workspaces.importWorkspace(file);
+    }
+    e.target.value = "";
+  }
+}
+
+customElements.define("workspace-switcher", WorkspaceSwitcher);
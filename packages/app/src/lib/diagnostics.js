@@ -0,0 +1,101 @@
+import rdf from "./env.js";
+import { createLocator, shapePattern } from "./source-locator.js";
+import { severities, severityOf } from "./severity.js";
+import { resultMessage } from "./result-rows.js";
+
+const { sh } = rdf.ns;
+
+/**
+ * Colours of gutter markers, ordered from the most severe
+ */
+export const severityColors = {
+  Error: "red",
+  ...Object.fromEntries(
+    Object.entries(severities).map(([severity, { color }]) => [severity, color])
+  ),
+};
+
+function addDiagnostic(diagnostics, lines, result) {
+  const diagnostic = {
+    severity: severityOf(result),
+    message: resultMessage(result),
+  };
+
+  for (const line of lines) {
+    diagnostics.set(line, [...(diagnostics.get(line) || []), diagnostic]);
+  }
+}
+
+/**
+ * Maps validation results to the lines of the data graph which state their focus node or value
+ *
+ * @param {Array<GraphPointer>} results
+ * @param {string} source - serialized data graph
+ * @param {string} format
+ * @returns {Map<number, Array<{ severity: string, message: string }>>}
+ */
+export function dataGraphDiagnostics(results, source, format) {
+  const locate = createLocator(source, format);
+
+  return results.reduce((diagnostics, result) => {
+    const path = result.out(sh.resultPath).term;
+    const lines = locate({
+      subject: result.out(sh.focusNode).term,
+      predicate: path?.termType === "NamedNode" ? path : undefined,
+      object: result.out(sh.value).term,
+    });
+
+    addDiagnostic(diagnostics, lines, result);
+    return diagnostics;
+  }, new Map());
+}
+
+/**
+ * Maps validation results to the lines of the shapes graph which define their source shape
+ *
+ * @param {Array<GraphPointer>} results
+ * @param {string} source - serialized shapes graph
+ * @param {string} format
+ * @param {DatasetCore} shapesGraph
+ * @returns {Map<number, Array<{ severity: string, message: string }>>}
+ */
+export function shapesGraphDiagnostics(results, source, format, shapesGraph) {
+  const locate = createLocator(source, format);
+
+  return results.reduce((diagnostics, result) => {
+    const shape = result.out(sh.sourceShape).term;
+    if (shape) {
+      const [line] = locate(shapePattern(shape, shapesGraph));
+      addDiagnostic(diagnostics, line === undefined ? [] : [line], result);
+    }
+    return diagnostics;
+  }, new Map());
+}
+
+/**
+ * Finds the zero-based line of a parser error
+ *
+ * @param {Error} error
+ * @param {string} source
+ * @returns {number}
+ */
+export function errorLine(error, source) {
+  if (error?.context?.line) {
+    return error.context.line - 1;
+  }
+
+  const line = error?.message?.match(/line:? (\d+)/i);
+  if (line) {
+    return Number.parseInt(line[1], 10) - 1;
+  }
+
+  const position = error?.message?.match(/position (\d+)/i);
+  if (position) {
+    return (
+      source.substring(0, Number.parseInt(position[1], 10)).split("\n").length -
+      1
+    );
+  }
+
+  return 0;
+}
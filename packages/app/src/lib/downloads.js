@@ -0,0 +1,42 @@
+import { mediaTypes } from "@rdfjs-elements/formats-pretty";
+
+/**
+ * Formats in which the validation report can be downloaded
+ */
+export const exportFormats = {
+  turtle: { label: "Turtle", mediaType: mediaTypes.turtle, extension: "ttl" },
+  jsonLd: {
+    label: "JSON-LD",
+    mediaType: mediaTypes.jsonLd,
+    extension: "jsonld",
+  },
+  ntriples: {
+    label: "N-Triples",
+    mediaType: mediaTypes.ntriples,
+    extension: "nt",
+  },
+  rdfXml: { label: "RDF/XML", mediaType: mediaTypes.rdfXml, extension: "rdf" },
+  csv: { label: "CSV summary", mediaType: "text/csv", extension: "csv" },
+  json: {
+    label: "JSON summary",
+    mediaType: "application/json",
+    extension: "json",
+  },
+  html: { label: "HTML report", mediaType: "text/html", extension: "html" },
+};
+
+/**
+ * Makes the browser download text as a file
+ *
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} mediaType
+ */
+export function download(content, filename, mediaType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mediaType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url));
+}
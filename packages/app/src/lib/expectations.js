@@ -0,0 +1,243 @@
+import rdf from "./env.js";
+import { reportResults } from "./result-rows.js";
+
+const { rdf: rdfNs, rdfs, sh, xsd } = rdf.ns;
+const mf = rdf.namespace(
+  "http://www.w3.org/2001/sw/DataAWG/tests/test-manifest#"
+);
+const sht = rdf.namespace("http://www.w3.org/ns/shacl-test#");
+
+/**
+ * IRI standing in for the manifest document, which is written as `<>` in exported files
+ */
+const MANIFEST = "urn:x-shacl-playground:manifest";
+
+/**
+ * Properties compared between expected and actual results.
+ * Messages are left out, same as in the W3C test suite
+ */
+const resultProperties = {
+  focusNode: sh.focusNode,
+  path: sh.resultPath,
+  severity: sh.resultSeverity,
+  component: sh.sourceConstraintComponent,
+  sourceShape: sh.sourceShape,
+  value: sh.value,
+};
+
+function termKey(term) {
+  if (!term) {
+    return "";
+  }
+  if (term.termType === "BlankNode") {
+    // blank node labels are not stable, so any blank node matches any other
+    return "_:";
+  }
+  if (term.termType === "Literal") {
+    const value = JSON.stringify(term.value);
+    if (term.language) {
+      return `${value}@${term.language}`;
+    }
+    if (!term.datatype.equals(xsd.string)) {
+      return `${value}^^<${term.datatype.value}>`;
+    }
+    return value;
+  }
+
+  return `<${term.value}>`;
+}
+
+function keyTerm(key) {
+  if (key === "_:") {
+    return rdf.blankNode();
+  }
+  if (key.startsWith("<")) {
+    return rdf.namedNode(key.slice(1, -1));
+  }
+
+  const [, value, language, datatype] = key.match(
+    /^("(?:[^"\\]|\\.)*")(?:@(.+)|\^\^<(.+)>)?$/
+  );
+  return rdf.literal(
+    JSON.parse(value),
+    language || (datatype && rdf.namedNode(datatype))
+  );
+}
+
+/**
+ * Describes a validation result by strings which can be compared and stored
+ *
+ * @param {GraphPointer} result
+ * @returns {Record<string, string>}
+ */
+export function expectedResult(result) {
+  const expected = Object.fromEntries(
+    Object.entries(resultProperties).map(([key, property]) => [
+      key,
+      termKey(result.out(property).term),
+    ])
+  );
+
+  return {
+    ...expected,
+    severity: expected.severity || termKey(sh.Violation),
+  };
+}
+
+/**
+ * Creates an expected outcome from actual validation results
+ *
+ * @param {{ conforms: boolean, results: GraphPointer[] }} validation
+ * @returns {{ conforms: boolean, results: Array<Record<string, string>> }}
+ */
+export function expectationOf({ conforms, results }) {
+  return { conforms, results: results.map(expectedResult) };
+}
+
+/**
+ * Gets comparable results of a validation report
+ *
+ * @param {{ conforms: boolean, dataset: DatasetCore }} report
+ */
+export function reportExpectation({ conforms, dataset }) {
+  return expectationOf({ conforms, results: reportResults(dataset) });
+}
+
+/**
+ * Compares actual validation outcome with the expected one
+ *
+ * @param {{ conforms: boolean, results: Array<Record<string, string>> }} expected
+ * @param {{ conforms: boolean, results: Array<Record<string, string>> }} actual
+ */
+export function compare(expected, actual) {
+  const key = (result) =>
+    JSON.stringify(Object.keys(resultProperties).map((name) => result[name]));
+
+  const unexpected = [...actual.results];
+  const missing = expected.results.filter((result) => {
+    const index = unexpected.findIndex(
+      (candidate) => key(candidate) === key(result)
+    );
+    if (index < 0) {
+      return true;
+    }
+
+    unexpected.splice(index, 1);
+    return false;
+  });
+  const conformsMatches = expected.conforms === actual.conforms;
+
+  return {
+    passed: conformsMatches && missing.length === 0 && unexpected.length === 0,
+    conformsMatches,
+    missing,
+    unexpected,
+  };
+}
+
+/**
+ * Reads the first `sht:Validate` test case from a W3C SHACL test suite manifest.
+ *
+ * Only self-contained test cases are supported, where both data and shapes graphs are the manifest document itself
+ *
+ * @param {DatasetCore} dataset
+ * @returns {{ label: string | undefined, expectation: { conforms: boolean, results: Array<Record<string, string>> } }}
+ */
+export function readManifest(dataset) {
+  const manifest = rdf
+    .clownface({ dataset })
+    .has(rdfNs.type, mf.Manifest)
+    .toArray()[0];
+  if (!manifest) {
+    throw new Error("The document does not contain a mf:Manifest");
+  }
+
+  const test = [...(manifest.out(mf.entries).list() || [])].find(
+    (entry) => entry.has(rdfNs.type, sht.Validate).terms.length
+  );
+  if (!test) {
+    throw new Error("The manifest does not have any sht:Validate entries");
+  }
+
+  const action = test.out(mf.action);
+  const graphs = [sht.dataGraph, sht.shapesGraph].map(
+    (property) => action.out(property).term
+  );
+  if (!graphs.every((graph) => graph?.equals(manifest.term))) {
+    throw new Error(
+      "Only test cases whose data and shapes graphs are the manifest itself are supported"
+    );
+  }
+
+  const report = test.out(mf.result);
+  const conforms = report.out(sh.conforms).value;
+  if (typeof conforms === "undefined") {
+    throw new Error("The expected result does not have sh:conforms");
+  }
+
+  return {
+    label: test.out(rdfs.label).value,
+    expectation: {
+      conforms: conforms === "true",
+      results: report.out(sh.result).map(expectedResult),
+    },
+  };
+}
+
+/**
+ * Creates a self-contained W3C SHACL test case, combining the shapes graph, the data graph and the manifest
+ *
+ * @param {{ shapesGraph: Quad[], dataGraph: Quad[], label: string, expectation: { conforms: boolean, results: Array<Record<string, string>> } }} test
+ * @returns {DatasetCore}
+ */
+export function writeManifest({ shapesGraph, dataGraph, label, expectation }) {
+  const pointer = rdf.clownface({
+    dataset: rdf.dataset([...shapesGraph, ...dataGraph]),
+  });
+  const manifest = pointer.namedNode(MANIFEST);
+  const test = pointer.namedNode(`${MANIFEST}#test`);
+
+  manifest.addOut(rdfNs.type, mf.Manifest).addList(mf.entries, test);
+  test
+    .addOut(rdfNs.type, sht.Validate)
+    .addOut(rdfs.label, label)
+    .addOut(mf.action, (action) => {
+      action.addOut(sht.dataGraph, manifest).addOut(sht.shapesGraph, manifest);
+    })
+    .addOut(mf.result, (report) => {
+      report
+        .addOut(rdfNs.type, sh.ValidationReport)
+        .addOut(sh.conforms, expectation.conforms);
+      expectation.results.forEach((expected) => {
+        report.addOut(sh.result, (result) => {
+          result.addOut(rdfNs.type, sh.ValidationResult);
+          Object.entries(resultProperties)
+            .filter(([key]) => expected[key])
+            .forEach(([key, property]) => {
+              result.addOut(property, keyTerm(expected[key]));
+            });
+        });
+      });
+    })
+    .addOut(mf.status, sht.approved);
+
+  return pointer.dataset;
+}
+
+/**
+ * Replaces the placeholder manifest IRI with relative references to the document itself
+ *
+ * @param {string} turtle
+ * @returns {string}
+ */
+export function relativizeManifest(turtle) {
+  return turtle.replaceAll(`<${MANIFEST}`, "<");
+}
+
+/**
+ * Prefixes used by manifests
+ */
+export const manifestPrefixes = {
+  mf: mf().value,
+  sht: sht().value,
+};
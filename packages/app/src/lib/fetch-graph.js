@@ -0,0 +1,88 @@
+import { mediaTypes } from "@rdfjs-elements/formats-pretty";
+
+const extensions = {
+  ttl: mediaTypes.turtle,
+  jsonld: mediaTypes.jsonLd,
+  json: mediaTypes.jsonLd,
+  nt: mediaTypes.ntriples,
+  nq: mediaTypes.nquads,
+  n3: mediaTypes.notation3,
+  rdf: mediaTypes.rdfXml,
+  owl: mediaTypes.rdfXml,
+  xml: mediaTypes.rdfXml,
+  trig: mediaTypes.trig,
+};
+
+const aliases = {
+  "application/json": mediaTypes.jsonLd,
+  "application/xml": mediaTypes.rdfXml,
+  "text/xml": mediaTypes.rdfXml,
+  "application/x-turtle": mediaTypes.turtle,
+};
+
+const accept = [
+  mediaTypes.turtle,
+  mediaTypes.jsonLd,
+  ...Object.values(mediaTypes)
+    .filter((type) => type !== mediaTypes.turtle && type !== mediaTypes.jsonLd)
+    .map((type) => `${type};q=0.9`),
+  "*/*;q=0.1",
+].join(", ");
+
+/**
+ * Gets the RDF format of a file from its extension
+ *
+ * @param {string} path - file name or URL path
+ * @returns {string | undefined}
+ */
+export function formatOfPath(path) {
+  return extensions[path.split(".").pop().toLowerCase()];
+}
+
+/**
+ * Gets the usual file extension of an RDF format
+ *
+ * @param {string} format
+ * @returns {string}
+ */
+export function extensionOf(format) {
+  return Object.keys(extensions).find((key) => extensions[key] === format);
+}
+
+function formatOf(contentType, url) {
+  const mediaType = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (Object.values(mediaTypes).includes(mediaType)) {
+    return mediaType;
+  }
+
+  return formatOfPath(new URL(url).pathname) || aliases[mediaType];
+}
+
+/**
+ * Fetches an RDF document, requesting the formats supported by the editors
+ *
+ * @param {string} url
+ * @returns {Promise<{ format: string, graph: string }>}
+ */
+export async function fetchGraph(url) {
+  const response = await fetch(url, { headers: { accept } });
+  if (!response.ok) {
+    throw new Error(
+      `Failed to load ${url}: ${response.status} ${response.statusText}`
+    );
+  }
+
+  const format = formatOf(
+    response.headers.get("content-type"),
+    response.url || url
+  );
+  if (!format) {
+    throw new Error(
+      `Could not determine the RDF format of ${url} (${response.headers.get(
+        "content-type"
+      )})`
+    );
+  }
+
+  return { format, graph: await response.text() };
+}
@@ -0,0 +1,109 @@
+import { mediaTypes } from "@rdfjs-elements/formats-pretty";
+import rdf from "./env.js";
+import { parse, serialize } from "./serialization.js";
+import { jsonLdContext, prefixMap } from "./prefixes.js";
+
+/**
+ * Names of the formats which graphs can be converted between
+ */
+export const formatLabels = {
+  [mediaTypes.turtle]: "Turtle",
+  [mediaTypes.trig]: "TriG",
+  [mediaTypes.notation3]: "N3",
+  [mediaTypes.ntriples]: "N-Triples",
+  [mediaTypes.nquads]: "N-Quads",
+  [mediaTypes.jsonLd]: "JSON-LD",
+  [mediaTypes.rdfXml]: "RDF/XML",
+};
+
+const namedGraphFormats = [
+  mediaTypes.trig,
+  mediaTypes.nquads,
+  mediaTypes.jsonLd,
+];
+const prefixFormats = [
+  mediaTypes.turtle,
+  mediaTypes.trig,
+  mediaTypes.notation3,
+  mediaTypes.jsonLd,
+  mediaTypes.rdfXml,
+];
+// strings and IRIs, which may contain a # without starting a comment
+const stringsAndIris =
+  /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|<[^>\s]*>/g;
+
+function label(format) {
+  return formatLabels[format] || format;
+}
+
+function hasComments(text, format) {
+  if (format === mediaTypes.jsonLd) {
+    return false;
+  }
+  if (format === mediaTypes.rdfXml) {
+    return text.includes("<!--");
+  }
+
+  return text.replace(stringsAndIris, "").includes("#");
+}
+
+/**
+ * Converts a graph into another syntax, keeping its prefixes
+ *
+ * @param {{ graph: string, format: string, prefixes: string[], customPrefixes: Record<string, string> }} source
+ * @param {string} target - media type to convert to
+ * @returns {Promise<{ graph: string, warnings: string[] }>} with warnings about content which the conversion drops
+ */
+export async function convertGraph(
+  { graph, format, prefixes, customPrefixes },
+  target
+) {
+  const quads = await parse(graph, format);
+  const warnings = [];
+
+  let converted = quads;
+  const inNamedGraphs = quads.filter(
+    (quad) => quad.graph.termType !== "DefaultGraph"
+  ).length;
+  if (inNamedGraphs > 0 && !namedGraphFormats.includes(target)) {
+    warnings.push(
+      `${label(target)} has no named graphs, so ${inNamedGraphs} triple${
+        inNamedGraphs === 1 ? "" : "s"
+      } in named graphs are merged into the default graph`
+    );
+    converted = quads.map(({ subject, predicate, object }) =>
+      rdf.quad(subject, predicate, object)
+    );
+  }
+
+  if (hasComments(graph, format)) {
+    warnings.push("Comments are dropped");
+  }
+
+  const contextTerms =
+    format === mediaTypes.jsonLd ? Object.keys(jsonLdContext(graph).terms) : [];
+  if (contextTerms.length > 0) {
+    warnings.push(
+      `Only prefixes are kept from the JSON-LD context, not the terms ${contextTerms.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (!prefixFormats.includes(target)) {
+    warnings.push(
+      `${label(
+        target
+      )} cannot declare prefixes, so all IRIs are written in full`
+    );
+  }
+
+  return {
+    graph: await serialize(
+      converted,
+      target,
+      prefixMap(prefixes, customPrefixes)
+    ),
+    warnings,
+  };
+}
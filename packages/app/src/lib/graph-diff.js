@@ -0,0 +1,53 @@
+import { ntriples } from "@tpluscode/rdf-string";
+import { parse } from "./serialization.js";
+
+function termKey(term) {
+  // blank node labels are not stable between parses, so any blank node matches any other
+  return term.termType === "BlankNode" ? "_:" : ntriples`${term}`.toString();
+}
+
+function tripleKey({ subject, predicate, object }) {
+  return [subject, predicate, object].map(termKey).join(" ");
+}
+
+function subtract(quads, others) {
+  // triples with blank nodes may share a key, so each one is counted
+  const remaining = new Map();
+  others.forEach((quad) => {
+    const key = tripleKey(quad);
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  });
+
+  return quads.filter((quad) => {
+    const key = tripleKey(quad);
+    const count = remaining.get(key);
+    if (!count) {
+      return true;
+    }
+
+    remaining.set(key, count - 1);
+    return false;
+  });
+}
+
+/**
+ * Compares two versions of a graph triple by triple
+ *
+ * @param {{ format: string, graph: string }} before
+ * @param {{ format: string, graph: string }} after
+ * @returns {Promise<{ added: string[], removed: string[] }>} the triples in N-Triples
+ */
+export async function diffGraphs(before, after) {
+  const [left, right] = await Promise.all(
+    [before, after].map(({ graph, format }) => parse(graph || "", format))
+  );
+  const toString = (quads) =>
+    quads.map(({ subject, predicate, object }) =>
+      ntriples`${subject} ${predicate} ${object} .`.toString()
+    );
+
+  return {
+    added: toString(subtract(right, left)),
+    removed: toString(subtract(left, right)),
+  };
+}
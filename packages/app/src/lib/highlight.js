@@ -0,0 +1,67 @@
+import rdf from "./env.js";
+
+const parts = ["subject", "predicate", "object"];
+
+function same(left, right) {
+  return left && right ? left.equals(right) : !left && !right;
+}
+
+function termToJson(term) {
+  if (!term) {
+    return undefined;
+  }
+
+  const { termType, value } = term;
+  if (termType === "Literal") {
+    return {
+      termType,
+      value,
+      language: term.language,
+      datatype: { value: term.datatype.value },
+    };
+  }
+
+  return { termType, value };
+}
+
+/**
+ * Checks whether a validation result is the one highlighted in the data graph
+ *
+ * @param {{ focusNode?: Term, path?: Term, value?: Term }} terms
+ * @param {{ model: string, subject?: Term, predicate?: Term, object?: Term } | undefined} highlight
+ */
+export function isHighlighted({ focusNode, path, value }, highlight) {
+  return (
+    highlight?.model === "dataGraph" &&
+    same(focusNode, highlight.subject) &&
+    same(path, highlight.predicate) &&
+    same(value, highlight.object)
+  );
+}
+
+/**
+ * Converts a highlight to plain objects, because RDF/JS terms lose their `termType` when stringified
+ */
+export function highlightToJson(highlight) {
+  if (!highlight) {
+    return undefined;
+  }
+
+  return parts.reduce(
+    (json, part) => ({ ...json, [part]: termToJson(highlight[part]) }),
+    { model: highlight.model }
+  );
+}
+
+/**
+ * Recreates the terms of a highlight stored with `highlightToJson`
+ */
+export function highlightFromJson(json) {
+  return parts.reduce(
+    (highlight, part) => ({
+      ...highlight,
+      [part]: json[part] ? rdf.fromTerm(json[part]) : undefined,
+    }),
+    { model: json.model }
+  );
+}
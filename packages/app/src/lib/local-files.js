@@ -0,0 +1,107 @@
+import { extensionOf, formatOfPath } from "./fetch-graph.js";
+import { download } from "./downloads.js";
+
+const accept = {
+  "text/turtle": [".ttl"],
+  "application/ld+json": [".jsonld", ".json"],
+  "application/n-triples": [".nt"],
+  "application/n-quads": [".nq"],
+  "text/n3": [".n3"],
+  "application/rdf+xml": [".rdf", ".owl", ".xml"],
+  "application/trig": [".trig"],
+};
+
+/**
+ * Whether the browser can write back to opened files
+ */
+export const canWriteFiles = "showOpenFilePicker" in window;
+
+function pickWithInput() {
+  return new Promise((resolve) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = Object.values(accept).flat().join(",");
+    input.addEventListener("change", () => resolve(input.files[0] || null));
+    input.addEventListener("cancel", () => resolve(null));
+    // browsers without the cancel event return the focus to the page when the dialog closes, before firing change
+    window.addEventListener(
+      "focus",
+      () => setTimeout(() => resolve(input.files[0] || null), 500),
+      { once: true }
+    );
+    input.click();
+  });
+}
+
+/**
+ * Lets the user choose an RDF file. Must be called from a user gesture
+ *
+ * @returns {Promise<{ file: File, handle?: FileSystemFileHandle } | null>} `null` when cancelled
+ */
+export async function pickFile() {
+  if (!canWriteFiles) {
+    const file = await pickWithInput();
+    return file ? { file } : null;
+  }
+
+  try {
+    const [handle] = await window.showOpenFilePicker({
+      types: [{ description: "RDF", accept }],
+    });
+    return { file: await handle.getFile(), handle };
+  } catch (e) {
+    if (e.name === "AbortError") {
+      return null;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Reads an RDF file, detecting its format from the file extension
+ *
+ * @param {File} file
+ * @returns {Promise<{ format: string, graph: string }>}
+ */
+export async function readFile(file) {
+  const format = formatOfPath(file.name);
+  if (!format) {
+    throw new Error(`Unsupported file type: ${file.name}`);
+  }
+
+  return { format, graph: await file.text() };
+}
+
+/**
+ * Writes text to the file it was opened from, or asks where to save it.
+ * Without the File System Access API the file is downloaded instead
+ *
+ * @param {{ text: string, format: string, name: string, handle?: FileSystemFileHandle }} file
+ * @returns {Promise<FileSystemFileHandle | undefined>} handle of the written file
+ */
+export async function saveFile({ text, format, name, handle }) {
+  const suggestedName = name || `graph.${extensionOf(format) || "txt"}`;
+
+  if (!canWriteFiles) {
+    download(text, suggestedName, format);
+    return undefined;
+  }
+
+  const target =
+    handle ||
+    (await window.showSaveFilePicker({
+      suggestedName,
+      types: [
+        {
+          description: "RDF",
+          accept: { [format]: accept[format] || [] },
+        },
+      ],
+    }));
+
+  const writable = await target.createWritable();
+  await writable.write(text);
+  await writable.close();
+
+  return target;
+}
@@ -0,0 +1,93 @@
+/**
+ * Stands for the default graph among graph IRIs
+ */
+export const DEFAULT_GRAPH = "";
+
+function graphOf({ graph }) {
+  return graph.termType === "DefaultGraph" ? DEFAULT_GRAPH : graph.value;
+}
+
+/**
+ * Identifies a focus node in the result of `focusNodeGraphs`
+ *
+ * @param {Term} focusNode
+ * @returns {string}
+ */
+export function focusNodeKey({ termType, value }) {
+  return `${termType}:${value}`;
+}
+
+const namedGraphCache = new WeakMap();
+
+/**
+ * Lists the IRIs of the named graphs in a dataset
+ *
+ * @param {Quad[]} quads
+ * @returns {string[]}
+ */
+export function namedGraphs(quads) {
+  if (!namedGraphCache.has(quads)) {
+    namedGraphCache.set(
+      quads,
+      [
+        ...new Set(
+          quads
+            .filter(({ graph }) => graph.termType === "NamedNode")
+            .map(({ graph }) => graph.value)
+        ),
+      ].sort()
+    );
+  }
+
+  return namedGraphCache.get(quads);
+}
+
+/**
+ * Keeps the quads of the selected graphs
+ *
+ * @param {Quad[]} quads
+ * @param {string[]} graphs - IRIs of named graphs or `DEFAULT_GRAPH`, where an empty array selects the union of all
+ * @returns {Quad[]}
+ */
+export function selectGraphs(quads, graphs) {
+  if (graphs.length === 0) {
+    return quads;
+  }
+
+  return quads.filter((quad) => graphs.includes(graphOf(quad)));
+}
+
+/**
+ * Finds the graphs which describe each focus node, or mention it when no graph describes it
+ *
+ * @param {Quad[]} quads
+ * @param {Term[]} focusNodes
+ * @returns {Record<string, string[]>} graph IRIs or `DEFAULT_GRAPH` by `focusNodeKey`, empty when all quads are in the
+ * default graph
+ */
+export function focusNodeGraphs(quads, focusNodes) {
+  if (quads.every(({ graph }) => graph.termType === "DefaultGraph")) {
+    return {};
+  }
+
+  const keys = new Set(focusNodes.map(focusNodeKey));
+  const subjects = new Map();
+  const objects = new Map();
+  const add = (map, term, quad) => {
+    const key = focusNodeKey(term);
+    if (keys.has(key)) {
+      map.set(key, (map.get(key) || new Set()).add(graphOf(quad)));
+    }
+  };
+  quads.forEach((quad) => {
+    add(subjects, quad.subject, quad);
+    add(objects, quad.object, quad);
+  });
+
+  return Object.fromEntries(
+    [...keys].map((key) => [
+      key,
+      [...(subjects.get(key) || objects.get(key) || [])].sort(),
+    ])
+  );
+}
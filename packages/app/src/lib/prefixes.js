@@ -0,0 +1,173 @@
+import knownPrefixes from "@zazuko/prefixes";
+
+const IRI = /^[a-z][\w+.-]*:/i;
+const prefixDeclaration = /(?:@prefix|PREFIX)\s+([^\s:]*):\s*<([^>]*)>/gi;
+
+/**
+ * Combines names of well-known prefixes and custom prefixes into a prefix map
+ *
+ * @param {string[]} prefixes
+ * @param {Record<string, string>} customPrefixes
+ */
+export function prefixMap(prefixes, customPrefixes = {}) {
+  return {
+    ...Object.fromEntries(
+      prefixes
+        .filter((prefix) => prefix in knownPrefixes)
+        .map((prefix) => [prefix, knownPrefixes[prefix]])
+    ),
+    ...customPrefixes,
+  };
+}
+
+/**
+ * Finds the prefixes declared in a Turtle, N3 or TriG document, both as `@prefix` and SPARQL-style `PREFIX`
+ *
+ * @param {string} text
+ * @returns {Record<string, string>}
+ */
+export function turtlePrefixes(text) {
+  return Object.fromEntries(
+    [...text.matchAll(prefixDeclaration)].map(([, prefix, namespace]) => [
+      prefix,
+      namespace,
+    ])
+  );
+}
+
+/**
+ * Reads the top-level `@context` of a JSON-LD document. Terms are prefixes when their definition has `"@prefix": true`
+ * or their IRI ends with `/`, `#` or `:`, unless it has `"@prefix": false`
+ *
+ * @param {string} text
+ * @returns {{
+ *   prefixes: Record<string, string>,
+ *   terms: Record<string, string | undefined>,
+ *   base?: string,
+ *   vocab?: string
+ * }} the other terms with their IRIs, as written
+ */
+export function jsonLdContext(text) {
+  const context = { prefixes: {}, terms: {} };
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch {
+    return context;
+  }
+
+  [document]
+    .flat()
+    .flatMap((node) => [node?.["@context"]].flat())
+    .filter((definitions) => definitions && typeof definitions === "object")
+    .flatMap((definitions) => Object.entries(definitions))
+    .forEach(([term, definition]) => {
+      const iri =
+        typeof definition === "string" ? definition : definition?.["@id"];
+      const prefix = definition?.["@prefix"];
+
+      if (term === "@base") {
+        context.base = definition;
+      } else if (term === "@vocab") {
+        context.vocab = definition;
+      } else if (term.startsWith("@")) {
+        // other keywords, such as @version, do not define terms
+      } else if (
+        typeof iri === "string" &&
+        IRI.test(iri) &&
+        (prefix === true || (prefix !== false && /[/#:]$/.test(iri)))
+      ) {
+        context.prefixes[term] = iri;
+      } else {
+        context.terms[term] = iri;
+      }
+    });
+
+  return context;
+}
+
+/**
+ * Adds prefixes declared in a graph's source, as selected well-known prefixes when their namespace matches, and as
+ * custom prefixes otherwise
+ *
+ * @param {{ prefixes: string[], customPrefixes: Record<string, string> }} current
+ * @param {Record<string, string>} declared
+ * @returns {{ prefixes: string[], customPrefixes: Record<string, string> }} the current objects, when nothing changed
+ */
+export function declarePrefixes({ prefixes, customPrefixes = {} }, declared) {
+  const current = prefixMap(prefixes, customPrefixes);
+  const added = Object.entries(declared).filter(
+    ([prefix, namespace]) => current[prefix] !== namespace
+  );
+  const known = added
+    .filter(([prefix, namespace]) => knownPrefixes[prefix] === namespace)
+    .map(([prefix]) => prefix);
+  const custom = added.filter(
+    ([prefix, namespace]) => knownPrefixes[prefix] !== namespace
+  );
+
+  return {
+    prefixes: known.length > 0 ? [...prefixes, ...known] : prefixes,
+    customPrefixes:
+      custom.length > 0
+        ? { ...customPrefixes, ...Object.fromEntries(custom) }
+        : customPrefixes,
+  };
+}
+
+/**
+ * Checks whether prefixes changed only by adding the ones declared in the graph's source
+ *
+ * @param {{ prefixes: string[], customPrefixes: Record<string, string> }} before
+ * @param {{ prefixes: string[], customPrefixes: Record<string, string> }} after
+ * @param {Record<string, string>} declared
+ * @returns {boolean}
+ */
+export function onlyDeclared(before, after, declared) {
+  const previous = prefixMap(before.prefixes, before.customPrefixes);
+  const next = prefixMap(after.prefixes, after.customPrefixes);
+
+  return (
+    Object.keys(previous).every((prefix) => prefix in next) &&
+    Object.entries(next).every(
+      ([prefix, namespace]) =>
+        previous[prefix] === namespace || declared[prefix] === namespace
+    )
+  );
+}
+
+/**
+ * Finds well-known prefixes for namespaces of IRIs, which no prefix covers yet
+ *
+ * @param {Iterable<string>} iris - used in a graph
+ * @param {{ prefixes: string[], customPrefixes: Record<string, string> }} current
+ * @returns {Array<{ prefix: string, namespace: string, count: number }>} ordered by the number of IRIs using the
+ * namespace
+ */
+export function suggestPrefixes(iris, { prefixes, customPrefixes }) {
+  const declared = prefixMap(prefixes, customPrefixes);
+  const namespaces = Object.values(declared);
+  const candidates = Object.entries(knownPrefixes)
+    .filter(([prefix]) => !(prefix in declared))
+    // the longest namespace is the most specific match
+    .sort(([, left], [, right]) => right.length - left.length);
+
+  const suggestions = new Map();
+  for (const iri of iris) {
+    if (!namespaces.some((namespace) => iri.startsWith(namespace))) {
+      const match = candidates.find(
+        ([, namespace]) => iri.startsWith(namespace) && iri !== namespace
+      );
+      if (match) {
+        const [prefix, namespace] = match;
+        const { count = 0 } = suggestions.get(prefix) || {};
+        suggestions.set(prefix, { prefix, namespace, count: count + 1 });
+      }
+    }
+  }
+
+  return [...suggestions.values()].sort(
+    (left, right) =>
+      right.count - left.count || left.prefix.localeCompare(right.prefix)
+  );
+}
@@ -0,0 +1,41 @@
+function toPlainTerm(term) {
+  switch (term.termType) {
+    case "Literal":
+      return {
+        termType: term.termType,
+        value: term.value,
+        language: term.language,
+        direction: term.direction,
+        datatype: toPlainTerm(term.datatype),
+      };
+    case "Quad":
+      return {
+        termType: term.termType,
+        value: "",
+        subject: toPlainTerm(term.subject),
+        predicate: toPlainTerm(term.predicate),
+        object: toPlainTerm(term.object),
+        graph: toPlainTerm(term.graph),
+      };
+    default:
+      return {
+        termType: term.termType,
+        value: term.value,
+      };
+  }
+}
+
+/**
+ * Converts RDF/JS quads to plain objects, which survive being posted to and from a Web Worker.
+ * The `termType` of most implementations lives on the prototype and would be lost otherwise
+ */
+export function toPlain(quads) {
+  return [...quads].map(toPlainTerm);
+}
+
+/**
+ * Restores RDF/JS quads from plain objects created by `toPlain`
+ */
+export function fromPlain(quads, factory) {
+  return quads.map((quad) => factory.fromQuad(quad));
+}
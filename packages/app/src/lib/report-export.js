@@ -0,0 +1,122 @@
+import { mediaTypes } from "@rdfjs-elements/formats-pretty";
+import { serialize } from "./serialization.js";
+import { columns, toRow } from "./result-rows.js";
+import { severities } from "./severity.js";
+import { exportFormats } from "./downloads.js";
+
+function flatten(results) {
+  return results.map((result) => {
+    const row = toRow(result, null);
+    return Object.fromEntries(columns.map(([key]) => [key, row[key]]));
+  });
+}
+
+function csvField(value) {
+  return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function toCsv(results) {
+  const keys = columns.map(([key]) => key);
+
+  return [
+    columns.map(([, name]) => name),
+    ...flatten(results).map((row) => keys.map((key) => row[key])),
+  ]
+    .map((fields) => fields.map(csvField).join(","))
+    .join("\r\n");
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toHtml({ conforms, counts, results, turtle }) {
+  const keys = columns.map(([key]) => key);
+  const rows = flatten(results)
+    .map(
+      (row) =>
+        `<tr class="${row.severity}">${keys
+          .map((key) => `<td>${escapeHtml(row[key])}</td>`)
+          .join("")}</tr>`
+    )
+    .join("\n");
+  const severityStyles = Object.entries(severities)
+    .map(([severity, { color }]) => `tr.${severity} td { color: ${color}; }`)
+    .join("\n");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>SHACL Validation Report</title>
+<style>
+body { font-family: sans-serif; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ddd; padding: 2px 6px; text-align: left; vertical-align: top; }
+${severityStyles}
+</style>
+</head>
+<body>
+<h1>SHACL Validation Report</h1>
+<p>Conforms: ${conforms ? "Yes" : "No"}</p>
+<p>${Object.keys(severities)
+    .map((severity) => `${counts[severity] || 0} ${severity}`)
+    .join(", ")}</p>
+<table>
+<thead><tr>${columns
+    .map(([, name]) => `<th>${escapeHtml(name)}</th>`)
+    .join("")}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+<details>
+<summary>Report as Turtle</summary>
+<pre>${escapeHtml(turtle)}</pre>
+</details>
+</body>
+</html>
+`;
+}
+
+/**
+ * Creates the contents of a downloadable validation report
+ *
+ * @param {{ conforms: boolean, counts: Record<string, number>, results: GraphPointer[], report: { dataset: DatasetCore } }} validation
+ * @param {string} format - key of `exportFormats`
+ * @param {Record<string, string>} prefixes
+ * @returns {Promise<string>}
+ */
+export async function exportReport(
+  { conforms, counts, results, report },
+  format,
+  prefixes
+) {
+  switch (format) {
+    case "csv":
+      return toCsv(results);
+    case "json":
+      return JSON.stringify(
+        { conforms, counts, results: flatten(results) },
+        null,
+        2
+      );
+    case "html":
+      return toHtml({
+        conforms,
+        counts,
+        results,
+        turtle: await serialize(report.dataset, mediaTypes.turtle, prefixes),
+      });
+    default:
+      return serialize(
+        report.dataset,
+        exportFormats[format].mediaType,
+        prefixes
+      );
+  }
+}
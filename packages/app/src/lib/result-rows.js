@@ -0,0 +1,116 @@
+import { shrink } from "@zazuko/prefixes/shrink";
+import rdf from "./env.js";
+import { severityOf } from "./severity.js";
+import { DEFAULT_GRAPH, focusNodeKey } from "./named-graphs.js";
+
+const { sh } = rdf.ns;
+
+/**
+ * Gets the results of a SHACL validation report
+ *
+ * @param {DatasetCore} dataset
+ * @returns {GraphPointer[]}
+ */
+export function reportResults(dataset) {
+  return rdf
+    .clownface({ dataset })
+    .has(rdf.ns.rdf.type, sh.ValidationReport)
+    .out(sh.result)
+    .toArray();
+}
+
+/**
+ * Gets the messages of a validation result, or names the violated constraint component when it has none
+ *
+ * @param {GraphPointer} result
+ * @returns {string}
+ */
+export function resultMessage(result) {
+  const messages = result.out(sh.resultMessage).values;
+  if (messages.length > 0) {
+    return messages.join("; ");
+  }
+
+  const component = result.out(sh.sourceConstraintComponent).value;
+  return component ? `Violated ${shrink(component)}` : "Unspecified error";
+}
+
+/**
+ * Columns of flattened validation results
+ */
+export const columns = Object.entries({
+  focusNode: "Focus node",
+  path: "Path",
+  value: "Value",
+  severity: "Severity",
+  component: "Constraint component",
+  sourceShape: "Source shape",
+  message: "Message",
+});
+
+function label(term, customPrefixes) {
+  if (!term) {
+    return "";
+  }
+  if (term.termType === "BlankNode") {
+    return `_:${term.value}`;
+  }
+  if (term.termType === "NamedNode" && customPrefixes) {
+    return shrink(term.value, customPrefixes) || term.value;
+  }
+
+  return term.value;
+}
+
+/**
+ * Flattens a validation result into a row of strings, one for each of `columns`
+ *
+ * @param {GraphPointer} result
+ * @param {Record<string, string> | null} customPrefixes - prefixes to shrink IRIs; `null` to keep them in full
+ */
+export function toRow(result, customPrefixes) {
+  const term = (property) => result.out(property).term;
+  const path = term(sh.resultPath);
+
+  return {
+    result,
+    focusNode: label(term(sh.focusNode), customPrefixes),
+    path: label(path, customPrefixes),
+    value: label(term(sh.value), customPrefixes),
+    severity: severityOf(result),
+    component: label(term(sh.sourceConstraintComponent), customPrefixes),
+    sourceShape: label(term(sh.sourceShape), customPrefixes),
+    message: resultMessage(result),
+    terms: {
+      focusNode: term(sh.focusNode),
+      path: path?.termType === "NamedNode" ? path : undefined,
+      value: term(sh.value),
+      shape: term(sh.sourceShape),
+    },
+  };
+}
+
+/**
+ * Names the graphs of the data graph's dataset, which a focus node came from
+ *
+ * @param {Term} focusNode
+ * @param {Record<string, string[]>} focusNodeGraphs - of the validation report
+ * @param {Record<string, string>} customPrefixes
+ * @returns {string} empty when the dataset has no named graphs
+ */
+export function focusNodeGraphLabel(
+  focusNode,
+  focusNodeGraphs,
+  customPrefixes
+) {
+  const graphs =
+    (focusNode && focusNodeGraphs?.[focusNodeKey(focusNode)]) || [];
+
+  return graphs
+    .map((graph) =>
+      graph === DEFAULT_GRAPH
+        ? "default graph"
+        : label(rdf.namedNode(graph), customPrefixes)
+    )
+    .join(", ");
+}
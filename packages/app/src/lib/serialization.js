@@ -0,0 +1,67 @@
+import formats, { mediaTypes } from "@rdfjs-elements/formats-pretty";
+import { Readable } from "stream";
+
+/**
+ * Parses a string using the same parsers as the editors
+ *
+ * @param {string} text
+ * @param {string} mediaType
+ * @param {{ baseIRI?: string }} [options]
+ * @returns {Promise<Quad[]>}
+ */
+export async function parse(text, mediaType, options = {}) {
+  const stream = new Readable({
+    read() {
+      this.push(text);
+      this.push(null);
+    },
+  });
+
+  const quadStream = formats.parsers.import(mediaType, stream, options);
+  if (!quadStream) {
+    throw new Error(`No parser found for ${mediaType}`);
+  }
+
+  const quads = [];
+  for await (const quad of quadStream) {
+    quads.push(quad);
+  }
+
+  return quads;
+}
+
+/**
+ * Serializes quads using the same serializers as the editors
+ *
+ * @param {Iterable<Quad>} quads
+ * @param {string} mediaType
+ * @param {Record<string, string>} prefixes
+ * @returns {Promise<string>}
+ */
+export async function serialize(quads, mediaType, prefixes = {}) {
+  const remaining = [...quads];
+  const stream = new Readable({
+    objectMode: true,
+    read() {
+      this.push(remaining.length ? remaining.shift() : null);
+    },
+  });
+
+  const quadStream = formats.serializers.import(mediaType, stream, {
+    prefixes,
+  });
+  if (!quadStream) {
+    throw new Error(`No serializer found for ${mediaType}`);
+  }
+
+  let serialized = "";
+  for await (const chunk of quadStream) {
+    serialized += chunk;
+  }
+
+  if (mediaType === mediaTypes.jsonLd) {
+    return JSON.stringify(JSON.parse(serialized), null, 2);
+  }
+
+  return serialized;
+}
@@ -0,0 +1,37 @@
+import rdf from "./env.js";
+
+const { sh } = rdf.ns;
+
+/**
+ * Display settings of SHACL result severities, ordered from the most severe
+ */
+export const severities = {
+  Violation: { icon: "vaadin:close-circle", color: "orangered" },
+  Warning: { icon: "vaadin:warning", color: "orange" },
+  Info: { icon: "vaadin:info-circle", color: "steelblue" },
+};
+
+/**
+ * Gets the local name of a validation result's `sh:resultSeverity`.
+ * Results without severity are treated as violations
+ *
+ * @param {GraphPointer} result
+ * @returns {string}
+ */
+export function severityOf(result) {
+  const severity = result.out(sh.resultSeverity).term;
+  return severity ? severity.value.replace(sh().value, "") : "Violation";
+}
+
+/**
+ * Counts validation results by their severity
+ *
+ * @param {Array<GraphPointer>} results
+ * @returns {Record<string, number>}
+ */
+export function countSeverities(results) {
+  return results.reduce((counts, result) => {
+    const severity = severityOf(result);
+    return { ...counts, [severity]: (counts[severity] || 0) + 1 };
+  }, Object.fromEntries(Object.keys(severities).map((key) => [key, 0])));
+}
@@ -0,0 +1,33 @@
+import shaclVocabulary from "@vocabulary/sh";
+import rdf from "./env.js";
+
+const { rdf: rdfNs, rdfs, sh } = rdf.ns;
+const SH = sh().value;
+
+/**
+ * Terms of the SHACL vocabulary with their documentation
+ */
+export const shaclTerms = (() => {
+  const vocabulary = rdf.clownface({
+    dataset: rdf.dataset(shaclVocabulary({ factory: rdf })),
+  });
+
+  return [...rdf.termSet(vocabulary.has(rdfNs.type).terms)]
+    .filter(({ value }) => value.startsWith(SH))
+    .map((term) => vocabulary.node(term))
+    .map((term) => ({
+      iri: term.value,
+      name: term.value.substring(SH.length),
+      types: term.out(rdfNs.type).values,
+      range: term.out(rdfs.range).value,
+      comment: term.out(rdfs.comment).value,
+    }))
+    .sort((left, right) => left.name.localeCompare(right.name));
+})();
+
+/**
+ * SHACL terms by their IRI
+ */
+export const shaclTermsByIri = new Map(
+  shaclTerms.map((term) => [term.iri, term])
+);
@@ -0,0 +1,246 @@
+import { shrink } from "@zazuko/prefixes/shrink";
+// eslint-disable-next-line import/no-unresolved,require-extensions/require-extensions
+import shaclShacl from "./graphs/shacl-shacl.ttl?raw";
+import rdf from "./env.js";
+import { parse } from "./serialization.js";
+import { validate } from "./validator.js";
+import { reportResults, resultMessage } from "./result-rows.js";
+import { severityOf } from "./severity.js";
+import { shaclTermsByIri } from "./shacl-vocabulary.js";
+
+const { rdf: rdfNs, rdfs, sh } = rdf.ns;
+
+/**
+ * @typedef {{
+ *   severity: string,
+ *   message: string,
+ *   focusNode: Term,
+ *   path?: Term,
+ *   check: string
+ * }} ShapesIssue
+ */
+
+const targetPredicates = [
+  sh.targetClass,
+  sh.targetNode,
+  sh.targetSubjectsOf,
+  sh.targetObjectsOf,
+  sh.target,
+];
+
+const bounds = [
+  [sh.minCount, sh.maxCount],
+  [sh.qualifiedMinCount, sh.qualifiedMaxCount],
+  [sh.minLength, sh.maxLength],
+  [sh.minInclusive, sh.maxInclusive],
+  [sh.minExclusive, sh.maxExclusive],
+];
+
+let shaclShaclQuads;
+
+function label(term) {
+  return term.termType === "NamedNode"
+    ? shrink(term.value) || `<${term.value}>`
+    : term.value;
+}
+
+function unknownTerms(shapes) {
+  const seen = new Set();
+
+  return [...shapes.dataset].flatMap(({ subject, predicate, object }) =>
+    [subject, predicate, object]
+      .filter(
+        (term) =>
+          term.termType === "NamedNode" &&
+          term.value.startsWith(sh().value) &&
+          !shaclTermsByIri.has(term.value) &&
+          !seen.has(`${subject.value} ${term.value}`)
+      )
+      .map((term) => {
+        seen.add(`${subject.value} ${term.value}`);
+        return {
+          severity: "Violation",
+          message: `${label(term)} is not a SHACL term`,
+          focusNode: subject,
+          path: predicate,
+        };
+      })
+  );
+}
+
+function propertyShapesWithoutPath(shapes) {
+  // values of sh:property are already checked by SHACL for SHACL
+  return shapes
+    .has(rdfNs.type, sh.PropertyShape)
+    .filter((shape) => shape.in(sh.property).terms.length === 0)
+    .filter((shape) => shape.out(sh.path).terms.length === 0)
+    .map((shape) => ({
+      severity: "Violation",
+      message: "Property shape has no sh:path",
+      focusNode: shape.term,
+    }));
+}
+
+function subjects(shapes, predicate) {
+  return [...rdf.termSet(shapes.has(predicate).terms)].map((term) =>
+    shapes.node(term)
+  );
+}
+
+function contradictoryBounds(shapes) {
+  return bounds.flatMap(([min, max]) =>
+    subjects(shapes, min).flatMap((shape) => {
+      const lower = Number(shape.out(min).value);
+      const upper = Number(shape.out(max).value);
+      if (Number.isNaN(lower) || Number.isNaN(upper) || lower <= upper) {
+        return [];
+      }
+
+      return [
+        {
+          severity: "Violation",
+          message: `${label(min)} ${lower} is greater than ${label(
+            max
+          )} ${upper}, so the shape can never be satisfied`,
+          focusNode: shape.term,
+          path: min,
+        },
+      ];
+    })
+  );
+}
+
+function subClasses(cls, graphs) {
+  const classes = rdf.termSet([cls]);
+  const queue = [cls];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    graphs
+      .flatMap((graph) => graph.node(current).in(rdfs.subClassOf).terms)
+      .filter((sub) => !classes.has(sub))
+      .forEach((sub) => {
+        classes.add(sub);
+        queue.push(sub);
+      });
+  }
+
+  return classes;
+}
+
+function targetClassesWithoutInstances(shapes, data) {
+  const types = rdf.termSet(data.out(rdfNs.type).terms);
+
+  return subjects(shapes, sh.targetClass).flatMap((shape) =>
+    shape
+      .out(sh.targetClass)
+      .terms.filter(
+        (cls) =>
+          ![...subClasses(cls, [shapes, data])].some((sub) => types.has(sub))
+      )
+      .map((cls) => ({
+        severity: "Warning",
+        message: `The data graph has no instances of ${label(
+          cls
+        )}, so the target does not select any focus nodes`,
+        focusNode: shape.term,
+        path: sh.targetClass,
+      }))
+  );
+}
+
+function referencedShapes(shape) {
+  return [
+    ...shape.out([sh.node, sh.property, sh.not, sh.qualifiedValueShape]).terms,
+    ...shape
+      .out([sh.and, sh.or, sh.xone])
+      .toArray()
+      .flatMap((list) => [...(list.list() || [])].map(({ term }) => term)),
+  ];
+}
+
+function unreachableShapes(shapes) {
+  const declared = shapes
+    .has(rdfNs.type, [sh.NodeShape, sh.PropertyShape])
+    .terms.filter((term) => term.termType === "NamedNode");
+  const roots = shapes.has(targetPredicates).terms;
+  // shapes which are also classes target their instances implicitly
+  const classes = declared.filter(
+    (term) => shapes.node(term).has(rdfNs.type, rdfs.Class).terms.length > 0
+  );
+
+  const reached = rdf.termSet([...roots, ...classes]);
+  const queue = [...reached];
+  while (queue.length > 0) {
+    referencedShapes(shapes.node(queue.shift()))
+      .filter((term) => !reached.has(term))
+      .forEach((term) => {
+        reached.add(term);
+        queue.push(term);
+      });
+  }
+
+  // only report the shapes at the top of unused structures
+  const unreached = declared.filter((term) => !reached.has(term));
+  const nested = rdf.termSet(
+    unreached.flatMap((term) => referencedShapes(shapes.node(term)))
+  );
+
+  return unreached
+    .filter((term) => !nested.has(term))
+    .map((term) => ({
+      severity: "Warning",
+      message:
+        "The shape is never used, because it has no targets and no shape with targets refers to it",
+      focusNode: term,
+    }));
+}
+
+/**
+ * Finds mistakes in the shapes graph, which would otherwise make shapes silently validate nothing.
+ * The shapes graph is validated against SHACL for SHACL and checked with heuristics which do not depend on the data
+ *
+ * @param {Quad[]} shapesGraph
+ * @returns {Promise<ShapesIssue[] | null>} `null` when superseded by another call
+ */
+export async function lintShapes(shapesGraph) {
+  shaclShaclQuads = shaclShaclQuads || (await parse(shaclShacl, "text/turtle"));
+  const report = await validate(shaclShaclQuads, shapesGraph, "shapesLint");
+  if (!report) {
+    return null;
+  }
+
+  const shapes = rdf.clownface({ dataset: rdf.dataset(shapesGraph) });
+
+  return [
+    ...reportResults(report.dataset).map((result) => ({
+      severity: severityOf(result),
+      message: resultMessage(result),
+      focusNode: result.out(sh.focusNode).term,
+      path: result.out(sh.resultPath).term,
+      check: "SHACL for SHACL",
+    })),
+    ...[
+      ...unknownTerms(shapes),
+      ...propertyShapesWithoutPath(shapes),
+      ...contradictoryBounds(shapes),
+      ...unreachableShapes(shapes),
+    ].map((issue) => ({ ...issue, check: "Heuristic" })),
+  ];
+}
+
+/**
+ * Finds targets of the shapes graph which select no focus nodes in the data graph
+ *
+ * @param {Quad[]} shapesGraph
+ * @param {Quad[]} dataGraph
+ * @returns {ShapesIssue[]}
+ */
+export function lintTargets(shapesGraph, dataGraph) {
+  const shapes = rdf.clownface({ dataset: rdf.dataset(shapesGraph) });
+  const data = rdf.clownface({ dataset: rdf.dataset(dataGraph) });
+
+  return targetClassesWithoutInstances(shapes, data).map((issue) => ({
+    ...issue,
+    check: "Heuristic",
+  }));
+}
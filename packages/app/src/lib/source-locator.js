@@ -0,0 +1,423 @@
+import { mediaTypes } from "@rdfjs-elements/formats-pretty";
+import rdf from "./env.js";
+import { jsonLdContext, turtlePrefixes } from "./prefixes.js";
+
+const rdfType = "http://www.w3.org/1999/02/22-rdf-syntax-ns#type";
+const bareLiteralDatatypes = [
+  "http://www.w3.org/2001/XMLSchema#integer",
+  "http://www.w3.org/2001/XMLSchema#decimal",
+  "http://www.w3.org/2001/XMLSchema#double",
+  "http://www.w3.org/2001/XMLSchema#boolean",
+];
+
+function syntaxOf(format) {
+  switch (format) {
+    case mediaTypes.jsonLd:
+      return "jsonld";
+    case mediaTypes.ntriples:
+    case mediaTypes.nquads:
+      return "ntriples";
+    case mediaTypes.rdfXml:
+      return "xml";
+    default:
+      return "turtle";
+  }
+}
+
+// strings, IRIs and other whitespace-separated tokens, which may spell a subject
+const TOKEN = /"(?:\\.|[^"\\])*"|<[^\s<>"]*>?|[^\s,;{}[\]()"<>=]+/g;
+// locators of the latest documents, which are validated again after changing settings
+const locators = new Map();
+const CACHED_LOCATORS = 4;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function turtleDeclarations(source) {
+  const base = source.match(/@?base\s+<([^>]*)>/i);
+
+  return { prefixes: turtlePrefixes(source), terms: {}, base: base?.[1] };
+}
+
+function jsonLdDeclarations(source) {
+  const { terms, ...context } = jsonLdContext(source);
+  const expand = (iri) => {
+    const colon = iri.indexOf(":");
+    const namespace = context.prefixes[iri.substring(0, colon)];
+    return namespace ? namespace + iri.substring(colon + 1) : iri;
+  };
+
+  return {
+    ...context,
+    // terms are looked up by the IRIs they stand for
+    terms: Object.fromEntries(
+      Object.entries(terms)
+        .filter(([, iri]) => typeof iri === "string")
+        .map(([term, iri]) => [expand(iri), term])
+    ),
+  };
+}
+
+function compactForms(iri, { prefixes, base, vocab }) {
+  const forms = Object.entries(prefixes)
+    .filter(([, namespace]) => namespace && iri.startsWith(namespace))
+    .map(
+      ([prefix, namespace]) => `${prefix}:${iri.substring(namespace.length)}`
+    );
+
+  return {
+    prefixed: forms,
+    relative: base && iri.startsWith(base) ? iri.substring(base.length) : null,
+    vocab: vocab && iri.startsWith(vocab) ? iri.substring(vocab.length) : null,
+  };
+}
+
+function blankNodeLabels(term) {
+  return [...new Set([term.value, term.value.replace(/^b\d+_/, "")])];
+}
+
+function spellings(term, syntax, declarations) {
+  if (!term) {
+    return [];
+  }
+
+  if (term.termType === "BlankNode") {
+    const labels = blankNodeLabels(term);
+    return syntax === "jsonld" || syntax === "xml"
+      ? labels.map((label) => `"_:${label}"`)
+      : labels.map((label) => `_:${label}`);
+  }
+
+  if (term.termType === "Literal") {
+    const forms = [JSON.stringify(term.value)];
+    if (syntax === "turtle") {
+      forms.push(`'${term.value}'`);
+    }
+    if (syntax === "xml") {
+      forms.push(`>${term.value}<`);
+    }
+    if (
+      syntax !== "ntriples" &&
+      bareLiteralDatatypes.includes(term.datatype?.value)
+    ) {
+      forms.push(term.value);
+    }
+    return forms;
+  }
+
+  const { prefixed, relative, vocab } = compactForms(term.value, declarations);
+  switch (syntax) {
+    case "jsonld":
+      return [
+        term.value,
+        ...prefixed,
+        relative,
+        vocab,
+        declarations.terms[term.value],
+        term.value === rdfType && "@type",
+      ]
+        .filter(Boolean)
+        .map((form) => `"${form}"`);
+    case "xml":
+      return [term.value, relative]
+        .filter(Boolean)
+        .map((form) => `"${form}"`)
+        .concat(prefixed.map((form) => `<${form}`));
+    case "ntriples":
+      return [`<${term.value}>`];
+    default:
+      return [
+        `<${term.value}>`,
+        relative !== null && `<${relative}>`,
+        ...prefixed,
+        term.value === rdfType && "a",
+      ].filter(Boolean);
+  }
+}
+
+function indexOfToken(line, spelling) {
+  if (!line.includes(spelling) || /^["'<>]/.test(spelling)) {
+    return line.indexOf(spelling);
+  }
+
+  const match = new RegExp(
+    `(^|[^\\w:])${escapeRegExp(spelling)}(?![\\w:-])`
+  ).exec(line);
+
+  return match ? match.index + match[1].length : -1;
+}
+
+function contains(line, forms) {
+  return forms.some((form) => indexOfToken(line, form) >= 0);
+}
+
+function startsWith(line, forms) {
+  const trimmed = line.trimStart();
+  return forms.some((form) => indexOfToken(trimmed, form) === 0);
+}
+
+function turtleStatementEnd(lines, start) {
+  for (let i = start; i < lines.length; i += 1) {
+    if (
+      lines[i]
+        .replace(/#[^>"']*$/, "")
+        .trimEnd()
+        .endsWith(".")
+    ) {
+      return i;
+    }
+  }
+  return lines.length - 1;
+}
+
+function count(text, char) {
+  return text.split(char).length - 1;
+}
+
+function jsonObjectBounds(lines, line) {
+  let start = 0;
+  let balance = 0;
+  for (let i = line; i >= 0; i -= 1) {
+    const text =
+      i === line ? lines[i].substring(0, lines[i].indexOf('"@id"')) : lines[i];
+    balance += count(text, "{") - count(text, "}");
+    if (balance > 0) {
+      start = i;
+      break;
+    }
+  }
+
+  let depth = 0;
+  for (let i = start; i < lines.length; i += 1) {
+    depth += count(lines[i], "{") - count(lines[i], "}");
+    if (depth <= 0) {
+      return { start, end: i };
+    }
+  }
+
+  return { start, end: lines.length - 1 };
+}
+
+/**
+ * Maps tokens to the lines they appear on, so that subjects are looked up without scanning the whole document
+ */
+function indexTokens(lines) {
+  const index = new Map();
+  const add = (token, line) => {
+    const found = index.get(token);
+    if (!found) {
+      index.set(token, [line]);
+    } else if (found.at(-1) !== line) {
+      found.push(line);
+    }
+  };
+
+  lines.forEach((text, line) => {
+    for (const [token] of text.matchAll(TOKEN)) {
+      add(token, line);
+      // RDF/XML elements start with a prefixed name, Turtle statements may end right after a prefixed name
+      add(token.replace(/\/?>$/, ""), line);
+      add(token.replace(/\.+$/, ""), line);
+    }
+  });
+
+  return index;
+}
+
+function subjectBlock(lines, candidates, syntax, forms) {
+  switch (syntax) {
+    case "ntriples": {
+      const subjectLines = candidates
+        .filter(({ text }) => startsWith(text, forms))
+        .map(({ line }) => line);
+      return subjectLines.length ? { lines: subjectLines } : null;
+    }
+    case "jsonld": {
+      const definition = candidates.find(({ text }) => text.includes('"@id"'));
+      if (!definition) return null;
+      const { start, end } = jsonObjectBounds(lines, definition.line);
+      return { line: definition.line, start, end };
+    }
+    case "xml": {
+      const definition = candidates.find(({ text }) =>
+        /rdf:(about|nodeID)=/.test(text)
+      );
+      if (!definition) return null;
+      const end = lines.findIndex(
+        (text, line) =>
+          line > definition.line && /<\/rdf:Description>|\/>\s*$/.test(text)
+      );
+      return {
+        line: definition.line,
+        start: definition.line,
+        end: end === -1 ? lines.length - 1 : end,
+      };
+    }
+    default: {
+      const definition = candidates.find(({ text }) => startsWith(text, forms));
+      if (!definition) return null;
+      return {
+        line: definition.line,
+        start: definition.line,
+        end: turtleStatementEnd(lines, definition.line),
+      };
+    }
+  }
+}
+
+function blockLines({ lines, start, end }) {
+  if (lines) {
+    return lines;
+  }
+
+  return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+}
+
+function indexedLocator(source, format) {
+  const syntax = syntaxOf(format);
+  const declarations =
+    syntax === "jsonld"
+      ? jsonLdDeclarations(source)
+      : turtleDeclarations(source);
+  const lines = source.split("\n");
+  const allLines = lines.map((_, line) => line);
+  const tokens = indexTokens(lines);
+  const blocks = new Map();
+
+  function findSubject(subject) {
+    const key = `${subject.termType}:${subject.value}`;
+    if (!blocks.has(key)) {
+      const forms = spellings(subject, syntax, declarations);
+      const candidates = [
+        ...new Set(forms.flatMap((form) => tokens.get(form) || [])),
+      ]
+        .sort((left, right) => left - right)
+        .map((line) => ({ text: lines[line], line }))
+        .filter(({ text }) => contains(text, forms));
+      blocks.set(key, {
+        block: subjectBlock(lines, candidates, syntax, forms),
+        mention: candidates[0]?.line,
+      });
+    }
+
+    return blocks.get(key);
+  }
+
+  return ({ subject, predicate, object }) => {
+    let candidates = allLines;
+    if (subject) {
+      const { block, mention } = findSubject(subject);
+      if (!block) {
+        return mention === undefined ? [] : [mention];
+      }
+
+      candidates = blockLines(block);
+      if (!predicate && !object) {
+        return syntax === "turtle" || block.lines ? candidates : [block.line];
+      }
+      if (!object && syntax !== "jsonld") {
+        candidates = candidates.filter(
+          (line) =>
+            contains(lines[line], spellings(predicate, syntax, declarations)) ||
+            line === block.line
+        );
+      }
+    }
+
+    const predicateForms = spellings(predicate, syntax, declarations);
+    const objectForms = spellings(object, syntax, declarations);
+    const matchesPredicate = (line) =>
+      predicateForms.length > 0 && contains(lines[line], predicateForms);
+    const matchesObject = (line) =>
+      objectForms.length > 0 && contains(lines[line], objectForms);
+
+    const both = candidates.filter(
+      (line) => matchesPredicate(line) && matchesObject(line)
+    );
+    if (both.length) {
+      return both;
+    }
+
+    if (object) {
+      // the object may be on a line following the predicate, e.g. in JSON-LD arrays or Turtle object lists
+      const predicateLine = candidates.find(matchesPredicate);
+      const objectLines = candidates.filter(
+        (line) =>
+          matchesObject(line) &&
+          (predicateLine === undefined || line >= predicateLine)
+      );
+      if (objectLines.length) {
+        return objectLines.slice(0, 1);
+      }
+    }
+
+    const predicateLines = candidates.filter(matchesPredicate);
+    if (predicateLines.length) {
+      return predicateLines;
+    }
+
+    return subject ? candidates.slice(0, 1) : [];
+  };
+}
+
+/**
+ * Creates a function which finds the lines of an RDF document stating a triple. The document is not parsed; instead
+ * the serialized forms of the terms are looked up in the text, which works for Turtle, TriG, N-Triples, N-Quads,
+ * JSON-LD and (to some extent) RDF/XML as typically written and formatted.
+ *
+ * Any of the terms can be omitted. When only the subject is given, all lines describing that subject are returned.
+ *
+ * @param {string} source - the serialized RDF document
+ * @param {string} format - media type of `source`
+ * @returns {(pattern: { subject?: Term, predicate?: Term, object?: Term }) => number[]} zero-based line numbers
+ */
+export function createLocator(source, format) {
+  if (!source) {
+    return () => [];
+  }
+
+  const key = `${format}\n${source}`;
+  if (!locators.has(key)) {
+    if (locators.size >= CACHED_LOCATORS) {
+      locators.delete(locators.keys().next().value);
+    }
+    locators.set(key, indexedLocator(source, format));
+  }
+
+  return locators.get(key);
+}
+
+/**
+ * Finds the lines of an RDF document which state a triple
+ *
+ * @see createLocator
+ */
+export function locate(source, format, pattern) {
+  return createLocator(source, format)(pattern);
+}
+
+/**
+ * Gets the triple pattern to look up a shape in the shapes graph source.
+ *
+ * Anonymous property shapes cannot be found by their identifier, so their `sh:path` within the shape which references
+ * them is used instead
+ *
+ * @param {Term} shape
+ * @param {DatasetCore} shapesGraph
+ */
+export function shapePattern(shape, shapesGraph) {
+  if (shape.termType !== "BlankNode") {
+    return { subject: shape };
+  }
+
+  const { sh } = rdf.ns;
+  const pointer = rdf.clownface({ dataset: shapesGraph }).node(shape);
+  const parent = pointer.in(sh.property).term;
+
+  return {
+    subject: parent?.termType === "NamedNode" ? parent : undefined,
+    predicate: sh.path,
+    object: pointer.out(sh.path).term,
+  };
+}
@@ -1,22 +1,39 @@
 import { createStore, persist } from "@captaincodeman/rdx";
 import * as models from "./models.js";
+import { workspaceContent, workspaceStorage } from "../workspaces.js";
+
+const workspaceModels =
+  /^(shapesGraph|dataGraph|dataGraphs|expectations)\/|^validation\/configure$/;
 
 export const store = persist(
-  createStore({
-    models,
-  }),
+  // settings of the playground itself stay in localStorage
+  persist(
+    createStore({
+      models,
+    }),
+    {
+      persist(state) {
+        const {
+          playground: { highlight, sharingParams, sharingLink, ...playground },
+        } = state;
+        return { playground };
+      },
+    }
+  ),
   {
+    // graphs may exceed localStorage quotas, so they are stored in IndexedDB with the active workspace
+    storage: workspaceStorage((e) =>
+      store.dispatch.workspaces.failed(
+        `Could not save the workspace: ${e.message}`
+      )
+    ),
+    serializer: { parse: (value) => value, stringify: (value) => value },
+    filter: ({ type }) => workspaceModels.test(type),
+    delay: 500,
     persist(state) {
-      const {
-        dataGraph: { quads: dQuads, ...dataGraph },
-        shapesGraph: { quads: sQuads, ...shapesGraph },
-        validation,
-        ...toPersist
-      } = state;
       return {
-        shapesGraph,
-        dataGraph,
-        ...toPersist,
+        id: state.workspaces.active?.id,
+        content: workspaceContent(state),
       };
     },
   }
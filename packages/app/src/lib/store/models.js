@@ -1,4 +1,9 @@
 export { shapesGraph } from "./models/shapesGraph.js";
 export { dataGraph } from "./models/dataGraph.js";
+export { dataGraphs } from "./models/dataGraphs.js";
+export { expectations } from "./models/expectations.js";
 export { validation } from "./models/validation.js";
 export { playground } from "./models/playground.js";
+export { workspaces } from "./models/workspaces.js";
+export { history } from "./models/history.js";
+export { shapesLint } from "./models/shapesLint.js";
@@ -2,6 +2,7 @@ import { createModel } from "@captaincodeman/rdx";
 // eslint-disable-next-line import/no-unresolved,require-extensions/require-extensions
 import data from "../../graphs/data.jsonld?raw";
 import * as graphReducers from "./graphReducers.js";
+import { graphEffects } from "./graphModel.js";
 
 export const dataGraph = createModel({
   state: {
@@ -9,8 +10,10 @@ export const dataGraph = createModel({
     graph: data,
     prefixes: [],
     customPrefixes: {},
+    revision: 0,
   },
   reducers: {
     ...graphReducers,
   },
+  effects: graphEffects("dataGraph"),
 });
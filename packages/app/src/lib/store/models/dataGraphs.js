@@ -0,0 +1,183 @@
+import { createModel } from "@captaincodeman/rdx";
+import { reportExpectation } from "../../expectations.js";
+import { emptyGraph } from "./graphModel.js";
+
+/**
+ * Finds the id which `add` gives to the next data graph
+ *
+ * @param {Array<{ id: string }>} graphs
+ * @returns {string}
+ */
+export function nextId(graphs) {
+  const ids = graphs.map(({ id }) => Number.parseInt(id.substring(1), 10) || 0);
+  return `g${Math.max(0, ...ids) + 1}`;
+}
+
+/**
+ * Named data graphs validated against the shared shapes graph.
+ *
+ * The contents of the selected graph live in the `dataGraph` model, which is bound to the editor.
+ * Other graphs keep their `format`, `graph`, `prefixes` and `customPrefixes` here until selected
+ */
+export const dataGraphs = createModel({
+  state: {
+    graphs: [{ id: "g1", name: "Data graph 1" }],
+    selected: "g1",
+    outcomes: {},
+  },
+  reducers: {
+    add(state, { name, ...content } = {}) {
+      const id = nextId(state.graphs);
+
+      return {
+        ...state,
+        graphs: [
+          ...state.graphs,
+          {
+            id,
+            name: name || `Data graph ${id.substring(1)}`,
+            ...emptyGraph,
+            ...content,
+          },
+        ],
+      };
+    },
+    rename(state, { id, name }) {
+      return {
+        ...state,
+        graphs: state.graphs.map((graph) =>
+          graph.id === id ? { ...graph, name } : graph
+        ),
+      };
+    },
+    remove(state, id) {
+      const index = state.graphs.findIndex((graph) => graph.id === id);
+      const neighbour = state.graphs[index + 1] || state.graphs[index - 1];
+      if (index < 0 || !neighbour) {
+        return state;
+      }
+
+      const { [id]: removed, ...outcomes } = state.outcomes;
+      return {
+        ...state,
+        graphs: state.graphs.filter((graph) => graph.id !== id),
+        // removing the selected graph selects its neighbour
+        selected: id === state.selected ? neighbour.id : state.selected,
+        outcomes,
+      };
+    },
+    stash(state, { id, format, graph, prefixes, customPrefixes }) {
+      return {
+        ...state,
+        graphs: state.graphs.map((entry) =>
+          entry.id === id
+            ? { ...entry, format, graph, prefixes, customPrefixes }
+            : entry
+        ),
+      };
+    },
+    select(state, selected) {
+      return { ...state, selected };
+    },
+    replace(state, { graphs, selected }) {
+      return { ...state, graphs, selected, outcomes: {} };
+    },
+    outcome(state, { id, conforms, results, error }) {
+      return {
+        ...state,
+        outcomes: { ...state.outcomes, [id]: { conforms, results, error } },
+      };
+    },
+  },
+  effects(store) {
+    const dispatch = store.getDispatch();
+
+    async function validateOthers() {
+      const {
+        shapesGraph,
+        dataGraphs: state,
+        validation: { settings },
+      } = store.getState();
+      if (!shapesGraph.quads) {
+        return;
+      }
+
+      const [{ validate }, { parse }] = await Promise.all([
+        import("../../validator.js"),
+        import("../../serialization.js"),
+      ]);
+
+      // the graphs share a validation channel, so they are validated one after another
+      await state.graphs
+        .filter(({ id }) => id !== state.selected)
+        .reduce(async (previous, { id, graph, format }) => {
+          if (!(await previous)) {
+            return false;
+          }
+
+          try {
+            const quads = await parse(graph || "", format);
+            const report = await validate(
+              shapesGraph.quads,
+              quads,
+              "dataGraphs",
+              settings
+            );
+            if (!report) {
+              // superseded by a newer validation
+              return false;
+            }
+            dispatch.dataGraphs.outcome({ id, ...reportExpectation(report) });
+          } catch (e) {
+            dispatch.dataGraphs.outcome({ id, error: e.message });
+          }
+
+          return true;
+        }, Promise.resolve(true));
+    }
+
+    return {
+      switchTo(id) {
+        const { dataGraph, dataGraphs: state } = store.getState();
+        const target = state.graphs.find((graph) => graph.id === id);
+        if (!target || id === state.selected) {
+          return;
+        }
+
+        dispatch.dataGraphs.stash({ id: state.selected, ...dataGraph });
+        dispatch.dataGraphs.select(id);
+        dispatch.dataGraph.load(target);
+      },
+      add() {
+        const { graphs } = store.getState().dataGraphs;
+        dispatch.dataGraphs.switchTo(graphs[graphs.length - 1].id);
+      },
+      removeSelected() {
+        const { selected } = store.getState().dataGraphs;
+        dispatch.dataGraphs.remove(selected);
+
+        const state = store.getState().dataGraphs;
+        if (state.selected !== selected) {
+          dispatch.dataGraph.load(
+            state.graphs.find((graph) => graph.id === state.selected)
+          );
+        }
+      },
+      "validation/report": function (report) {
+        dispatch.dataGraphs.outcome({
+          id: store.getState().dataGraphs.selected,
+          ...reportExpectation(report),
+        });
+      },
+      "validation/failed": function (error) {
+        dispatch.dataGraphs.outcome({
+          id: store.getState().dataGraphs.selected,
+          error,
+        });
+      },
+      "shapesGraph/parsed": validateOthers,
+      "validation/configure": validateOthers,
+      replace: validateOthers,
+    };
+  },
+});
@@ -0,0 +1,127 @@
+import { createModel } from "@captaincodeman/rdx";
+import { mediaTypes } from "@rdfjs-elements/formats-pretty";
+import rdf from "../../env.js";
+import {
+  expectationOf,
+  manifestPrefixes,
+  readManifest,
+  relativizeManifest,
+  writeManifest,
+} from "../../expectations.js";
+import { nextId } from "./dataGraphs.js";
+import { download } from "../../downloads.js";
+import { prefixMap } from "../../prefixes.js";
+
+/**
+ * Expected validation outcomes of data graphs, keyed by data graph id
+ */
+export const expectations = createModel({
+  state: {
+    graphs: {},
+    error: undefined,
+  },
+  reducers: {
+    set(state, { id, expectation }) {
+      return {
+        ...state,
+        graphs: { ...state.graphs, [id]: expectation },
+        error: undefined,
+      };
+    },
+    clear(state, id) {
+      const { [id]: removed, ...graphs } = state.graphs;
+      return { ...state, graphs };
+    },
+    replace(state, graphs) {
+      return { ...state, graphs };
+    },
+    failed(state, error) {
+      return { ...state, error };
+    },
+  },
+  effects(store) {
+    const dispatch = store.getDispatch();
+
+    return {
+      expectActual() {
+        const { dataGraphs, validation } = store.getState();
+        if (!validation.report) {
+          return;
+        }
+
+        dispatch.expectations.set({
+          id: dataGraphs.selected,
+          expectation: expectationOf(validation),
+        });
+      },
+      async importManifest(text) {
+        const { parse } = await import("../../serialization.js");
+
+        let test;
+        try {
+          const quads = await parse(text, mediaTypes.turtle, {
+            baseIRI: document.baseURI,
+          });
+          test = readManifest(rdf.dataset(quads));
+        } catch (e) {
+          dispatch.expectations.failed(e.message);
+          return;
+        }
+
+        // W3C test cases are self-contained, so the whole document is both the shapes and the data graph
+        const graph = {
+          format: mediaTypes.turtle,
+          graph: text,
+          prefixes: [],
+          customPrefixes: {},
+        };
+        // the added graph is only selected by a later effect
+        const id = nextId(store.getState().dataGraphs.graphs);
+        dispatch.shapesGraph.load(graph);
+        dispatch.dataGraphs.add({ name: test.label, ...graph });
+        dispatch.expectations.set({ id, expectation: test.expectation });
+      },
+      async exportManifest() {
+        const { shapesGraph, dataGraph, dataGraphs, validation, ...state } =
+          store.getState();
+        const expectation =
+          state.expectations.graphs[dataGraphs.selected] ||
+          (validation.report && expectationOf(validation));
+        if (!expectation || !shapesGraph.quads || !dataGraph.quads) {
+          return;
+        }
+
+        const { serialize } = await import("../../serialization.js");
+
+        const { name } = dataGraphs.graphs.find(
+          ({ id }) => id === dataGraphs.selected
+        );
+        const dataset = writeManifest({
+          shapesGraph: shapesGraph.quads,
+          dataGraph: dataGraph.quads,
+          label: name,
+          expectation,
+        });
+        const prefixes = prefixMap(
+          ["rdf", "rdfs", "sh", ...shapesGraph.prefixes, ...dataGraph.prefixes],
+          {
+            ...shapesGraph.customPrefixes,
+            ...dataGraph.customPrefixes,
+            ...manifestPrefixes,
+          }
+        );
+
+        download(
+          relativizeManifest(
+            await serialize(dataset, mediaTypes.turtle, prefixes)
+          ),
+          "shacl-test.ttl",
+          mediaTypes.turtle
+        );
+      },
+      "dataGraphs/remove": function (id) {
+        dispatch.expectations.clear(id);
+      },
+    };
+  },
+});
@@ -0,0 +1,29 @@
+/**
+ * Contents of a new graph
+ */
+export const emptyGraph = {
+  format: "text/turtle",
+  graph: "",
+  prefixes: [],
+  customPrefixes: {},
+};
+
+/**
+ * Creates the effects shared by the shapes graph and data graph models
+ *
+ * @param {'shapesGraph' | 'dataGraph'} model
+ */
+export function graphEffects(model) {
+  return (store) => {
+    const dispatch = store.getDispatch();
+
+    return {
+      load({ graph }) {
+        if (!graph) {
+          // the editor does not parse an empty document
+          dispatch[model].parsed({ quads: [], serialized: "" });
+        }
+      },
+    };
+  };
+}
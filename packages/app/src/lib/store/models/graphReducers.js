@@ -1,3 +1,6 @@
+import { declarePrefixes as declare } from "../../prefixes.js";
+import { emptyGraph } from "./graphModel.js";
+
 export function changeFormat(state, format) {
   return { ...state, format };
 }
@@ -7,6 +10,80 @@ export function parsed(state, { quads, serialized }) {
     ...state,
     quads,
     graph: serialized,
+    parseError: undefined,
+  };
+}
+
+export function parsingFailed(state, { message, line }) {
+  return {
+    ...state,
+    parseError: { message, line },
+  };
+}
+
+/**
+ * Replaces the graph, where missing contents are those of an empty graph
+ */
+export function load(
+  state,
+  {
+    format = emptyGraph.format,
+    graph = emptyGraph.graph,
+    prefixes = emptyGraph.prefixes,
+    customPrefixes = emptyGraph.customPrefixes,
+    url,
+    fileName,
+  }
+) {
+  return {
+    ...state,
+    format,
+    graph,
+    prefixes,
+    customPrefixes,
+    source: url ? { url, graph } : undefined,
+    file: fileName ? { name: fileName } : undefined,
+    fetching: undefined,
+    fetchError: undefined,
+    quads: undefined,
+    parseError: undefined,
+    // recreates the editor, so that the new text gets parsed instead of old quads reserialized
+    revision: (state.revision || 0) + 1,
+  };
+}
+
+export function converted(state, { format, graph }) {
+  return {
+    ...state,
+    format,
+    graph,
+    quads: undefined,
+    parseError: undefined,
+    // the converted text must be parsed instead of the old quads reserialized
+    revision: (state.revision || 0) + 1,
+  };
+}
+
+export function fetching(state, url) {
+  return {
+    ...state,
+    fetching: url,
+    fetchError: undefined,
+  };
+}
+
+export function fetchFailed(state, message) {
+  return {
+    ...state,
+    fetching: undefined,
+    fetchError: message,
+  };
+}
+
+export function fileSaved(state, name) {
+  return {
+    ...state,
+    file: { name },
   };
 }
 
@@ -31,6 +108,13 @@ export function removePrefix(state, prefix) {
   };
 }
 
+export function replacePrefixes(state, prefixes) {
+  return {
+    ...state,
+    prefixes,
+  };
+}
+
 export function setCustomPrefix(state, { prefix, namespace }) {
   if (typeof prefix !== "string" || typeof namespace !== "string") {
     return state;
@@ -56,3 +140,16 @@ export function replaceCustomPrefixes(state, prefixes) {
     customPrefixes: prefixes,
   };
 }
+
+export function declarePrefixes(state, declared) {
+  const { prefixes, customPrefixes } = declare(state, declared);
+  if (prefixes === state.prefixes && customPrefixes === state.customPrefixes) {
+    return state;
+  }
+
+  return {
+    ...state,
+    prefixes,
+    customPrefixes,
+  };
+}
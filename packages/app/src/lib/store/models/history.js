@@ -0,0 +1,154 @@
+import { createModel } from "@captaincodeman/rdx";
+import { reportExpectation } from "../../expectations.js";
+
+const LIMIT = 50;
+// edits closer together than that are kept as a single snapshot
+const COALESCE_WITHIN = 10000;
+
+function sameContent(left, right) {
+  return (
+    left.shapesGraph.format === right.shapesGraph.format &&
+    left.shapesGraph.graph === right.shapesGraph.graph &&
+    left.dataGraph.id === right.dataGraph.id &&
+    left.dataGraph.format === right.dataGraph.format &&
+    left.dataGraph.graph === right.dataGraph.graph
+  );
+}
+
+/**
+ * Snapshots of the shapes graph and the selected data graph, taken when either is parsed, together with the
+ * outcome of validating them. Kept in memory only and started anew when another workspace is opened
+ */
+export const history = createModel({
+  state: {
+    snapshots: [],
+  },
+  reducers: {
+    record(state, snapshot) {
+      const last = state.snapshots[state.snapshots.length - 1];
+      if (last && sameContent(last, snapshot)) {
+        return state;
+      }
+
+      const coalesce =
+        last &&
+        last.reason === "edit" &&
+        snapshot.reason === "edit" &&
+        last.model === snapshot.model &&
+        snapshot.timestamp - last.timestamp < COALESCE_WITHIN;
+      const previous = coalesce
+        ? state.snapshots.slice(0, -1)
+        : state.snapshots;
+
+      return {
+        ...state,
+        snapshots: [
+          ...previous,
+          { ...snapshot, id: coalesce ? last.id : (last?.id || 0) + 1 },
+        ].slice(-LIMIT),
+      };
+    },
+    validated(state, outcome) {
+      const last = state.snapshots[state.snapshots.length - 1];
+      if (!last) {
+        return state;
+      }
+
+      return {
+        ...state,
+        snapshots: [...state.snapshots.slice(0, -1), { ...last, outcome }],
+      };
+    },
+    clear(state) {
+      return { ...state, snapshots: [] };
+    },
+  },
+  effects(store) {
+    const dispatch = store.getDispatch();
+    // why the next parsed graph changed, when it was not edited
+    const reasons = new Map();
+
+    function record(model) {
+      const { shapesGraph, dataGraph, dataGraphs } = store.getState();
+      const { name } =
+        dataGraphs.graphs.find(({ id }) => id === dataGraphs.selected) || {};
+      const reason = reasons.get(model) || "edit";
+      reasons.delete(model);
+
+      dispatch.history.record({
+        timestamp: Date.now(),
+        model,
+        reason,
+        shapesGraph: { format: shapesGraph.format, graph: shapesGraph.graph },
+        dataGraph: {
+          id: dataGraphs.selected,
+          name,
+          format: dataGraph.format,
+          graph: dataGraph.graph,
+        },
+      });
+    }
+
+    function loaded(model) {
+      if (!reasons.has(model)) {
+        reasons.set(model, "load");
+      }
+    }
+
+    return {
+      restore(id) {
+        const state = store.getState();
+        const snapshot = state.history.snapshots.find(
+          (entry) => entry.id === id
+        );
+        if (!snapshot) {
+          return;
+        }
+
+        // prefixes are not part of the snapshot, so the current ones are kept
+        const { shapesGraph, dataGraph, dataGraphs } = state;
+        const contents = [["shapesGraph", shapesGraph, snapshot.shapesGraph]];
+        if (snapshot.dataGraph.id === dataGraphs.selected) {
+          contents.push(["dataGraph", dataGraph, snapshot.dataGraph]);
+        } else {
+          const target = dataGraphs.graphs.find(
+            (graph) => graph.id === snapshot.dataGraph.id
+          );
+          if (target) {
+            reasons.set("dataGraph", "restore");
+            dispatch.dataGraphs.stash({
+              ...target,
+              format: snapshot.dataGraph.format,
+              graph: snapshot.dataGraph.graph,
+            });
+            dispatch.dataGraphs.switchTo(target.id);
+          }
+        }
+
+        contents.forEach(([model, current, { format, graph }]) => {
+          reasons.set(model, "restore");
+          dispatch[model].load({
+            format,
+            graph,
+            prefixes: current.prefixes,
+            customPrefixes: current.customPrefixes,
+          });
+        });
+      },
+      "shapesGraph/load": () => loaded("shapesGraph"),
+      "dataGraph/load": () => loaded("dataGraph"),
+      "shapesGraph/parsed": () => record("shapesGraph"),
+      "dataGraph/parsed": () => record("dataGraph"),
+      "validation/report": function (report) {
+        dispatch.history.validated(reportExpectation(report));
+      },
+      "validation/failed": function (error) {
+        dispatch.history.validated({ error });
+      },
+      "workspaces/opened": function () {
+        reasons.clear();
+        dispatch.history.clear();
+      },
+    };
+  },
+});
@@ -1,17 +1,29 @@
 import { createModel } from "@captaincodeman/rdx";
 import * as playgroundLib from "@zazuko/shacl-playground";
+import rdf from "../../env.js";
+import { shapePattern } from "../../source-locator.js";
+import * as localFiles from "../../local-files.js";
+import { highlightFromJson, highlightToJson } from "../../highlight.js";
 
 const initialUrl = new URL(window.location.href);
 const sharingParams = Object.fromEntries([
   ...new URLSearchParams(initialUrl.hash.substr(1)).entries(),
 ]);
 
+// file handles cannot be stored in the state, so they are kept by model name
+const fileHandles = new Map();
+
 export const playground = createModel({
   state: {
     page: 3,
     shaperone: new URL("https://forms.hypermedia.app/playground/").toString(),
     sharingLink: initialUrl.toString(),
     sharingParams,
+    // sizes of the editors in percent of the wide layout
+    layout: {
+      editorsWidth: 50,
+      editorsHeight: 60,
+    },
   },
   reducers: {
     switchPage(state, page) {
@@ -28,6 +40,15 @@ export const playground = createModel({
         shaperone: url.toString(),
       };
     },
+    highlight(state, { model, subject, predicate, object }) {
+      return {
+        ...state,
+        highlight: { model, subject, predicate, object },
+      };
+    },
+    resize(state, layout) {
+      return { ...state, layout: { ...state.layout, ...layout } };
+    },
     setSharingLink(state, sharingLink) {
       return { ...state, sharingLink };
     },
@@ -48,23 +69,182 @@ export const playground = createModel({
   effects(store) {
     const dispatch = store.getDispatch();
 
+    function shareDataGraphs() {
+      const { graphs, selected } = store.getState().dataGraphs;
+
+      dispatch.playground.setSharingParam({
+        key: "dataGraphs",
+        value: {
+          // contents of the selected graph are shared as the dataGraph param
+          graphs: graphs.map(({ id, name, ...graph }) =>
+            id === selected ? { id, name } : { id, name, ...graph }
+          ),
+          selected,
+        },
+      });
+    }
+
+    function shareExpectations() {
+      dispatch.playground.setSharingParam({
+        key: "expectations",
+        value: store.getState().expectations.graphs,
+      });
+    }
+
+    function sharePrefixes(model) {
+      dispatch.playground.setSharingParam({
+        key: `${model}Prefixes`,
+        value: store.getState()[model].prefixes,
+      });
+    }
+
+    function shareView() {
+      const { validation, playground: state } = store.getState();
+
+      dispatch.playground.setSharingParam({
+        key: "view",
+        value: {
+          display: validation.display,
+          severityFilter: validation.severityFilter,
+          table: validation.table,
+          highlight: highlightToJson(state.highlight),
+          layout: state.layout,
+        },
+      });
+    }
+
+    function shareValidationSettings() {
+      dispatch.playground.setSharingParam({
+        key: "validationSettings",
+        value: store.getState().validation.settings,
+      });
+    }
+
+    function shareSource(model, serialized) {
+      const { source } = store.getState()[model];
+
+      dispatch.playground.setSharingParam({
+        key: `${model}Url`,
+        value: source?.graph === serialized ? source.url : undefined,
+      });
+    }
+
     return {
+      async openUrl({ model, url }) {
+        const { fetchGraph } = await import("../../fetch-graph.js");
+        const { prefixes, customPrefixes } = store.getState()[model];
+
+        dispatch[model].fetching(url);
+        try {
+          const { format, graph } = await fetchGraph(url);
+          dispatch[model].load({
+            format,
+            graph,
+            prefixes,
+            customPrefixes,
+            url,
+          });
+        } catch (e) {
+          dispatch[model].fetchFailed(e.message);
+        }
+      },
+      async openFile({ model, file, handle }) {
+        const { prefixes, customPrefixes } = store.getState()[model];
+
+        try {
+          const { format, graph } = await localFiles.readFile(file);
+          fileHandles.set(model, handle);
+          dispatch[model].load({
+            format,
+            graph,
+            prefixes,
+            customPrefixes,
+            fileName: file.name,
+          });
+        } catch (e) {
+          dispatch[model].fetchFailed(e.message);
+        }
+      },
+      async saveFile(model) {
+        const { graph, format, file, parseError } = store.getState()[model];
+        if (parseError) {
+          // the graph is the last text which parsed, so saving it would drop the current edits
+          return;
+        }
+
+        try {
+          const handle = await localFiles.saveFile({
+            text: graph,
+            format,
+            name: file?.name,
+            handle: file && fileHandles.get(model),
+          });
+          if (handle) {
+            fileHandles.set(model, handle);
+            dispatch[model].fileSaved(handle.name);
+          }
+        } catch (e) {
+          if (e.name !== "AbortError") {
+            dispatch[model].fetchFailed(e.message);
+          }
+        }
+      },
       switchPage(value) {
         dispatch.playground.setSharingParam({
           key: "page",
           value,
         });
       },
-      async setSharingParam() {
-        const { shapesGraph, dataGraph, ...options } =
-          store.getState().playground.sharingParams;
+      highlight({ model }) {
+        dispatch.playground.switchPage(model === "shapesGraph" ? 0 : 1);
+        shareView();
+      },
+      resize: shareView,
+      showShape({ shape }) {
+        const { quads } = store.getState().shapesGraph;
+        if (!shape || !quads) {
+          return;
+        }
 
-        const sharingLink = await playgroundLib.createPlaygroundUrl(
+        dispatch.playground.highlight({
+          model: "shapesGraph",
+          ...shapePattern(shape, rdf.dataset(quads)),
+        });
+      },
+      async setSharingParam() {
+        const {
           shapesGraph,
           dataGraph,
+          page,
+          dataGraphs,
+          expectations,
+          shapesGraphUrl,
+          dataGraphUrl,
+          shapesGraphPrefixes,
+          dataGraphPrefixes,
+          view,
+          validationSettings,
+          ...options
+        } = store.getState().playground.sharingParams;
+
+        const sharingLink = await playgroundLib.createPlaygroundUrl(
+          // graphs loaded from a URL and not edited since are shared by reference
+          shapesGraphUrl ? "" : shapesGraph,
+          dataGraphUrl ? "" : dataGraph,
           {
             ...options,
             instanceUrl: window.location.href,
+            params: {
+              page,
+              dataGraphs,
+              expectations,
+              shapesGraphUrl,
+              dataGraphUrl,
+              shapesGraphPrefixes,
+              dataGraphPrefixes,
+              view,
+              validationSettings,
+            },
           }
         );
 
@@ -90,6 +270,7 @@ export const playground = createModel({
           key: "dataGraphFormat",
           value: format,
         });
+        shareSource("dataGraph", serialized);
       },
       "shapesGraph/parsed": function ({ serialized }) {
         const { format } = store.getState().shapesGraph;
@@ -111,6 +292,7 @@ export const playground = createModel({
           key: "shapesGraphFormat",
           value: format,
         });
+        shareSource("shapesGraph", serialized);
       },
       "dataGraph/setCustomPrefix": function () {
         dispatch.playground.setSharingParam({
@@ -124,22 +306,73 @@ export const playground = createModel({
           value: store.getState().shapesGraph.customPrefixes,
         });
       },
-      restoreState() {
+      "shapesGraph/addPrefix": () => sharePrefixes("shapesGraph"),
+      "shapesGraph/removePrefix": () => sharePrefixes("shapesGraph"),
+      "shapesGraph/replacePrefixes": () => sharePrefixes("shapesGraph"),
+      "shapesGraph/load": () => sharePrefixes("shapesGraph"),
+      "dataGraph/addPrefix": () => sharePrefixes("dataGraph"),
+      "dataGraph/removePrefix": () => sharePrefixes("dataGraph"),
+      "dataGraph/replacePrefixes": () => sharePrefixes("dataGraph"),
+      "dataGraph/load": () => sharePrefixes("dataGraph"),
+      "validation/display": shareView,
+      "validation/filterSeverities": shareView,
+      "validation/arrangeTable": shareView,
+      "validation/configure": shareValidationSettings,
+      "dataGraphs/stash": shareDataGraphs,
+      "dataGraphs/select": shareDataGraphs,
+      "dataGraphs/rename": shareDataGraphs,
+      "dataGraphs/remove": shareDataGraphs,
+      "dataGraphs/replace": shareDataGraphs,
+      "expectations/set": shareExpectations,
+      "expectations/clear": shareExpectations,
+      "expectations/replace": shareExpectations,
+      async restoreState() {
         const url = new URL(document.location.toString());
         const hash = new URLSearchParams(url.hash.substr(1));
+        const state = hash.get("state") || url.searchParams.get("state");
+        let params = {};
+        if (state) {
+          try {
+            params = await playgroundLib.decodePlaygroundState(state);
+          } catch (e) {
+            // not a valid state, so only the legacy parameters are used
+          }
+        }
 
+        // legacy links have every parameter as plain text
         function getParam(name) {
+          if (name in params) {
+            return params[name];
+          }
+
           return hash.get(name) || url.searchParams.get(name);
         }
 
+        function getJson(name) {
+          const value = getParam(name);
+          return typeof value === "string" ? JSON.parse(value) : value;
+        }
+
         const page = getParam("page");
         const shapesGraph = getParam("shapesGraph");
         const shapesGraphFormat = getParam("shapesGraphFormat");
-        const shapesGraphCustomPrefixes = getParam("shapesGraphCustomPrefixes");
+        const shapesGraphCustomPrefixes = getJson("shapesGraphCustomPrefixes");
         const dataGraph = getParam("dataGraph");
         const dataGraphFormat = getParam("dataGraphFormat");
-        const dataGraphCustomPrefixes = getParam("dataGraphCustomPrefixes");
+        const dataGraphCustomPrefixes = getJson("dataGraphCustomPrefixes");
+        const shapesGraphUrl = getParam("shapesGraphUrl");
+        const dataGraphUrl = getParam("dataGraphUrl");
+        const dataGraphs = getJson("dataGraphs");
+        const expectations = getJson("expectations");
+        const shapesGraphPrefixes = getJson("shapesGraphPrefixes");
+        const dataGraphPrefixes = getJson("dataGraphPrefixes");
+        const view = getJson("view");
+        const validationSettings = getJson("validationSettings");
 
+        // highlighting switches to the graph's page, so it must come before the shared page
+        if (view?.highlight) {
+          dispatch.playground.highlight(highlightFromJson(view.highlight));
+        }
         if (page) {
           dispatch.playground.switchPage(Number.parseInt(page, 10));
         }
@@ -150,9 +383,10 @@ export const playground = createModel({
           dispatch.shapesGraph.changeFormat(shapesGraphFormat);
         }
         if (shapesGraphCustomPrefixes) {
-          dispatch.shapesGraph.replaceCustomPrefixes(
-            JSON.parse(shapesGraphCustomPrefixes)
-          );
+          dispatch.shapesGraph.replaceCustomPrefixes(shapesGraphCustomPrefixes);
+        }
+        if (shapesGraphPrefixes) {
+          dispatch.shapesGraph.replacePrefixes(shapesGraphPrefixes);
         }
         if (dataGraph) {
           dispatch.dataGraph.setGraph(dataGraph);
@@ -161,9 +395,44 @@ export const playground = createModel({
           dispatch.dataGraph.changeFormat(dataGraphFormat);
         }
         if (dataGraphCustomPrefixes) {
-          dispatch.dataGraph.replaceCustomPrefixes(
-            JSON.parse(dataGraphCustomPrefixes)
-          );
+          dispatch.dataGraph.replaceCustomPrefixes(dataGraphCustomPrefixes);
+        }
+        if (dataGraphPrefixes) {
+          dispatch.dataGraph.replacePrefixes(dataGraphPrefixes);
+        }
+        if (view?.display) {
+          dispatch.validation.display(view.display);
+        }
+        if (view?.severityFilter) {
+          dispatch.validation.filterSeverities(view.severityFilter);
+        }
+        if (view?.table) {
+          dispatch.validation.arrangeTable(view.table);
+        }
+        if (view?.layout) {
+          dispatch.playground.resize(view.layout);
+        }
+        if (validationSettings) {
+          dispatch.validation.configure(validationSettings);
+        }
+
+        if (shapesGraphUrl) {
+          dispatch.playground.openUrl({
+            model: "shapesGraph",
+            url: shapesGraphUrl,
+          });
+        }
+        if (dataGraphUrl) {
+          dispatch.playground.openUrl({
+            model: "dataGraph",
+            url: dataGraphUrl,
+          });
+        }
+        if (dataGraphs) {
+          dispatch.dataGraphs.replace(dataGraphs);
+        }
+        if (expectations) {
+          dispatch.expectations.replace(expectations);
         }
 
         [...url.searchParams.keys()].forEach((key) =>
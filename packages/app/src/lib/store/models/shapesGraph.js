@@ -2,6 +2,7 @@ import { createModel } from "@captaincodeman/rdx";
 // eslint-disable-next-line import/no-unresolved,require-extensions/require-extensions
 import shapes from "../../graphs/shapes.ttl?raw";
 import * as graphReducers from "./graphReducers.js";
+import { graphEffects } from "./graphModel.js";
 
 export const shapesGraph = createModel({
   state: {
@@ -9,8 +10,10 @@ export const shapesGraph = createModel({
     graph: shapes,
     prefixes: ["sh", "schema"],
     customPrefixes: {},
+    revision: 0,
   },
   reducers: {
     ...graphReducers,
   },
+  effects: graphEffects("shapesGraph"),
 });
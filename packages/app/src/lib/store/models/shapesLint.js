@@ -0,0 +1,88 @@
+import { createModel } from "@captaincodeman/rdx";
+
+/**
+ * Mistakes found in the shapes graph, independently of validating the data graph.
+ *
+ * Only the targets are checked again when the data graph changes, the rest of `issues` is found in the shapes graph
+ * alone
+ */
+export const shapesLint = createModel({
+  state: {
+    issues: [],
+    shapesIssues: [],
+    targetIssues: [],
+    linting: false,
+    error: undefined,
+  },
+  reducers: {
+    linting(state) {
+      return { ...state, linting: true };
+    },
+    issues(state, shapesIssues) {
+      return {
+        ...state,
+        shapesIssues,
+        issues: [...shapesIssues, ...state.targetIssues],
+        linting: false,
+        error: undefined,
+      };
+    },
+    targetIssues(state, targetIssues) {
+      return {
+        ...state,
+        targetIssues,
+        issues: [...state.shapesIssues, ...targetIssues],
+      };
+    },
+    failed(state, error) {
+      return {
+        ...state,
+        shapesIssues: [],
+        issues: state.targetIssues,
+        linting: false,
+        error,
+      };
+    },
+  },
+  effects(store) {
+    const dispatch = store.getDispatch();
+
+    async function checkTargets() {
+      const { shapesGraph, dataGraph } = store.getState();
+
+      if (shapesGraph.quads && dataGraph.quads) {
+        const { lintTargets } = await import("../../shapes-lint.js");
+
+        dispatch.shapesLint.targetIssues(
+          lintTargets(shapesGraph.quads, dataGraph.quads)
+        );
+      }
+    }
+
+    async function checkShapes() {
+      const { shapesGraph } = store.getState();
+
+      if (shapesGraph.quads) {
+        const { lintShapes } = await import("../../shapes-lint.js");
+
+        dispatch.shapesLint.linting();
+        try {
+          const issues = await lintShapes(shapesGraph.quads);
+          if (issues) {
+            dispatch.shapesLint.issues(issues);
+          }
+        } catch (e) {
+          dispatch.shapesLint.failed(e.message);
+        }
+      }
+    }
+
+    return {
+      "dataGraph/parsed": checkTargets,
+      "shapesGraph/parsed": function () {
+        checkShapes();
+        checkTargets();
+      },
+    };
+  },
+});
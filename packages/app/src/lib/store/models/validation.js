@@ -1,46 +1,139 @@
 import { createModel } from "@captaincodeman/rdx";
-import rdf from "../../env.js";
+import { countSeverities, severities } from "../../severity.js";
+import { reportResults } from "../../result-rows.js";
+import { defaultSettings } from "../../validator-settings.js";
+import { download, exportFormats } from "../../downloads.js";
+import { prefixMap } from "../../prefixes.js";
 
 export const validation = createModel({
   state: {
     display: "tree",
     conforms: undefined,
+    validating: false,
+    error: undefined,
+    exportError: undefined,
     results: [],
+    counts: countSeverities([]),
+    // node shapes of the last validation, with the number of focus nodes each targeted
+    targets: [],
+    // graphs of the data graph's dataset, which the focus nodes of the last validation came from
+    focusNodeGraphs: {},
+    severityFilter: Object.keys(severities),
+    table: {
+      sortBy: undefined,
+      sortDirection: 1,
+      filters: {},
+      groupBy: "",
+    },
+    settings: defaultSettings,
   },
   reducers: {
+    validating(state) {
+      return { ...state, validating: true };
+    },
     report(state, report) {
-      const results = report.results.map(rdf.clownface);
+      const results = reportResults(report.dataset);
 
       return {
         ...state,
         results,
+        counts: countSeverities(results),
         conforms: report.conforms,
+        targets: report.targets || [],
+        focusNodeGraphs: report.focusNodeGraphs || {},
+        validating: false,
+        error: undefined,
         report,
       };
     },
+    failed(state, error) {
+      return {
+        ...state,
+        conforms: undefined,
+        validating: false,
+        error,
+        results: [],
+        counts: countSeverities([]),
+        targets: [],
+        focusNodeGraphs: {},
+        report: undefined,
+      };
+    },
+    exporting(state) {
+      return { ...state, exportError: undefined };
+    },
+    exportFailed(state, exportError) {
+      return { ...state, exportError };
+    },
+    filterSeverities(state, severityFilter) {
+      return { ...state, severityFilter };
+    },
     display(state, display) {
       return { ...state, display };
     },
+    arrangeTable(state, table) {
+      return { ...state, table: { ...state.table, ...table } };
+    },
+    configure(state, settings) {
+      return { ...state, settings: { ...state.settings, ...settings } };
+    },
   },
   effects(store) {
     const dispatch = store.getDispatch();
 
     async function validate() {
-      const { shapesGraph, dataGraph } = store.getState();
+      const { shapesGraph, dataGraph, ...state } = store.getState();
 
       if (shapesGraph.quads && dataGraph.quads) {
-        const Validator = (await import("rdf-validate-shacl")).default;
+        const validator = await import("../../validator.js");
 
-        const validator = new Validator(rdf.dataset(shapesGraph.quads));
-        dispatch.validation.report(
-          await validator.validate(rdf.dataset(dataGraph.quads))
-        );
+        dispatch.validation.validating();
+        try {
+          const report = await validator.validate(
+            shapesGraph.quads,
+            dataGraph.quads,
+            "dataGraph",
+            state.validation.settings
+          );
+          if (report) {
+            dispatch.validation.report(report);
+          }
+        } catch (e) {
+          dispatch.validation.failed(e.message);
+        }
       }
     }
 
     return {
+      async exportReport(format) {
+        const { shapesGraph, dataGraph, ...state } = store.getState();
+        if (!state.validation.report) {
+          return;
+        }
+
+        const prefixes = prefixMap(
+          ["sh", ...shapesGraph.prefixes, ...dataGraph.prefixes],
+          { ...shapesGraph.customPrefixes, ...dataGraph.customPrefixes }
+        );
+        const { extension, mediaType } = exportFormats[format];
+
+        dispatch.validation.exporting();
+        try {
+          const { exportReport } = await import("../../report-export.js");
+          download(
+            await exportReport(state.validation, format, prefixes),
+            `validation-report.${extension}`,
+            mediaType
+          );
+        } catch (e) {
+          dispatch.validation.exportFailed(
+            `Could not export the report: ${e.message}`
+          );
+        }
+      },
       "dataGraph/parsed": validate,
       "shapesGraph/parsed": validate,
+      configure: validate,
     };
   },
 });
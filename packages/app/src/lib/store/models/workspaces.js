@@ -0,0 +1,258 @@
+import { createModel } from "@captaincodeman/rdx";
+import * as db from "../../workspaces.js";
+import { download } from "../../downloads.js";
+import { defaultSettings } from "../../validator-settings.js";
+import { emptyGraph } from "./graphModel.js";
+
+const emptyContent = {
+  shapesGraph: { ...emptyGraph, prefixes: ["sh"] },
+  dataGraphs: [{ id: "g1", name: "Data graph 1", ...emptyGraph }],
+  selected: "g1",
+  expectations: {},
+};
+
+function hasSharedGraphs() {
+  const hash = new URLSearchParams(window.location.hash.substring(1));
+  const search = new URLSearchParams(window.location.search);
+
+  return ["state", "shapesGraph", "dataGraph"].some(
+    (name) => hash.has(name) || search.has(name)
+  );
+}
+
+/**
+ * Named workspaces stored in IndexedDB, each with a shapes graph, its data graphs and their saved versions.
+ *
+ * The content of the active workspace lives in the graph models and is written back by `persist`
+ */
+export const workspaces = createModel({
+  state: {
+    active: undefined,
+    list: [],
+    versions: [],
+    error: undefined,
+  },
+  reducers: {
+    opened(state, { active, list, versions }) {
+      return { ...state, active, list, versions, error: undefined };
+    },
+    listed(state, { active, list }) {
+      return { ...state, active, list };
+    },
+    versionsListed(state, versions) {
+      return { ...state, versions };
+    },
+    failed(state, error) {
+      return { ...state, error };
+    },
+  },
+  effects(store) {
+    const dispatch = store.getDispatch();
+    // the models are not loaded yet, so this is the sample shown to new users
+    const sample = db.workspaceContent(store.getState());
+
+    function load({
+      shapesGraph,
+      dataGraphs,
+      selected,
+      expectations,
+      validationSettings,
+    }) {
+      const current =
+        dataGraphs.find(({ id }) => id === selected) || dataGraphs[0];
+
+      dispatch.dataGraphs.replace({
+        // contents of the selected graph are edited in the dataGraph model
+        graphs: dataGraphs.map(({ id, name, ...graph }) =>
+          id === current.id ? { id, name } : { id, name, ...graph }
+        ),
+        selected: current.id,
+      });
+      dispatch.expectations.replace(expectations || {});
+      dispatch.validation.configure({
+        ...defaultSettings,
+        ...validationSettings,
+      });
+      [
+        ["shapesGraph", shapesGraph],
+        ["dataGraph", current],
+      ].forEach(([model, content]) => {
+        dispatch[model].load(content);
+      });
+    }
+
+    async function show(active, content) {
+      const [list, versions] = await Promise.all([
+        db.listWorkspaces(),
+        db.listVersions(active.id),
+      ]);
+
+      db.setActiveWorkspaceId(active.id);
+      // no awaiting between the two, so that the content is never persisted to the wrong workspace
+      dispatch.workspaces.opened({ active, list, versions });
+      if (content) {
+        load(content);
+      }
+    }
+
+    async function saveCurrent() {
+      const state = store.getState();
+      if (state.workspaces.active) {
+        await db.saveContent(
+          state.workspaces.active.id,
+          db.workspaceContent(state)
+        );
+      }
+    }
+
+    async function createAndShow(name, content) {
+      await saveCurrent();
+      await show(await db.createWorkspace(name, content), content);
+    }
+
+    return {
+      async init() {
+        try {
+          const list = await db.listWorkspaces();
+          const active =
+            list.find(({ id }) => id === db.activeWorkspaceId()) || list[0];
+
+          if (active) {
+            await show(active, await db.loadContent(active.id));
+          } else {
+            // the first workspace takes over what was previously kept in localStorage
+            const content = db.workspaceContent(store.getState());
+            await show(await db.createWorkspace("Workspace 1", content));
+          }
+
+          // shared links open in a workspace of their own instead of replacing the current one
+          if (hasSharedGraphs()) {
+            const content = db.workspaceContent(store.getState());
+            await show(await db.createWorkspace("Shared link", content));
+          }
+        } catch (e) {
+          dispatch.workspaces.failed(e.message);
+        }
+
+        dispatch.playground.restoreState();
+      },
+      async create(name) {
+        try {
+          const { list } = store.getState().workspaces;
+          await createAndShow(
+            name || `Workspace ${list.length + 1}`,
+            emptyContent
+          );
+        } catch (e) {
+          dispatch.workspaces.failed(e.message);
+        }
+      },
+      async switchTo(id) {
+        const { active, list } = store.getState().workspaces;
+        const target = list.find((workspace) => workspace.id === id);
+        if (!target || id === active?.id) {
+          return;
+        }
+
+        try {
+          await saveCurrent();
+          await show(target, await db.loadContent(id));
+        } catch (e) {
+          dispatch.workspaces.failed(e.message);
+        }
+      },
+      async rename(name) {
+        const { active } = store.getState().workspaces;
+        if (!active || !name) {
+          return;
+        }
+
+        try {
+          await db.renameWorkspace(active.id, name);
+          dispatch.workspaces.listed({
+            active: { ...active, name },
+            list: await db.listWorkspaces(),
+          });
+        } catch (e) {
+          dispatch.workspaces.failed(e.message);
+        }
+      },
+      async remove() {
+        const { active, list } = store.getState().workspaces;
+        const next = list.find(({ id }) => id !== active?.id);
+        if (!next) {
+          return;
+        }
+
+        try {
+          await db.deleteWorkspace(active.id);
+          await show(next, await db.loadContent(next.id));
+        } catch (e) {
+          dispatch.workspaces.failed(e.message);
+        }
+      },
+      async saveVersion(label) {
+        const state = store.getState();
+        const { active } = state.workspaces;
+        if (!active) {
+          return;
+        }
+
+        try {
+          await db.saveVersion(
+            active.id,
+            label || new Date().toLocaleString(),
+            db.workspaceContent(state)
+          );
+          dispatch.workspaces.versionsListed(await db.listVersions(active.id));
+        } catch (e) {
+          dispatch.workspaces.failed(e.message);
+        }
+      },
+      async restoreVersion(id) {
+        try {
+          const content = await db.loadVersion(id);
+          if (content) {
+            load(content);
+          }
+        } catch (e) {
+          dispatch.workspaces.failed(e.message);
+        }
+      },
+      reset() {
+        load(sample);
+      },
+      async exportWorkspace(format) {
+        const state = store.getState();
+        const { exportWorkspace, workspaceFormats } = await import(
+          "../../workspace-file.js"
+        );
+        const name = state.workspaces.active?.name || "workspace";
+        const { extension, mediaType } = workspaceFormats[format];
+
+        try {
+          download(
+            await exportWorkspace(name, db.workspaceContent(state), format),
+            `${name}.${extension}`,
+            mediaType
+          );
+        } catch (e) {
+          dispatch.workspaces.failed(e.message);
+        }
+      },
+      async importWorkspace(file) {
+        const { importWorkspace } = await import("../../workspace-file.js");
+
+        try {
+          const { name, content } = await importWorkspace(file);
+          await createAndShow(
+            name || file.name.replace(/\.[^.]+$/, ""),
+            content
+          );
+        } catch (e) {
+          dispatch.workspaces.failed(e.message);
+        }
+      },
+    };
+  },
+});
@@ -1,16 +1,61 @@
 import { connect } from "@captaincodeman/rdx";
-import { html, LitElement } from "lit";
+import { css, html, LitElement } from "lit";
 import { ntriples } from "@tpluscode/rdf-string";
 import { store } from "./store/index.js";
+import { severities, severityOf } from "./severity.js";
+import { expectationOf } from "./expectations.js";
 import "./components/validation-drawer.js";
 
+function describeScope({ settings, targets }) {
+  const active = targets.filter((target) => target.active);
+  const focusNodes = active.reduce((sum, target) => sum + target.focusNodes, 0);
+  const parts = [
+    settings.shapes.length > 0 &&
+      `${active.length} of ${targets.length} shapes`,
+    settings.focusNodes.length > 0 &&
+      `${settings.focusNodes.length} pinned focus nodes`,
+    settings.graphs.length > 0 &&
+      `${settings.graphs.length} selected graph${
+        settings.graphs.length === 1 ? "" : "s"
+      }`,
+  ].filter(Boolean);
+
+  return parts.length > 0
+    ? `Validated ${parts.join(
+        " and "
+      )}, with ${focusNodes} targeted focus nodes in total`
+    : "";
+}
+
 class ValidationReport extends connect(store, LitElement) {
+  static get styles() {
+    return css`
+      .counts span {
+        margin-right: 1em;
+      }
+
+      [hidden] {
+        display: none;
+      }
+    `;
+  }
+
   static get properties() {
     return {
       conforms: { type: Boolean },
+      validating: { type: Boolean },
+      error: { type: String },
       results: { type: Array },
+      counts: { type: Object },
       displayAs: { type: String },
       prefixes: { type: String },
+      expected: { type: Object },
+      actual: { type: Object },
+      table: { type: Object },
+      highlight: { type: Object },
+      scope: { type: String },
+      shapesLint: { type: Object },
+      focusNodeGraphs: { type: Object },
     };
   }
 
@@ -22,15 +67,78 @@ class ValidationReport extends connect(store, LitElement) {
   connectedCallback() {
     super.connectedCallback();
     import("./components/error-summary.js");
+    import("./components/expectation-diff.js");
+    import("./components/shapes-issues.js");
   }
 
   render() {
     return html`
       <h2>Validation Report</h2>
       <h3>Success</h3>
-      <p>${this.conforms ? "Yes" : "No"}</p>
-      <h3 ?hidden="${this.results.length === 0}">Errors found</h3>
-      ${this._renderResultVisualisation()}
+      <p>${this._renderStatus()}</p>
+      ${this._renderExpectation()}
+      <p class="counts" ?hidden="${this.conforms !== false}">
+        ${Object.entries(severities).map(
+          ([severity, { icon, color }]) => html`
+            <span>
+              <iron-icon icon="${icon}" style="color: ${color}"></iron-icon>
+              ${this.counts[severity]} ${severity}
+            </span>
+          `
+        )}
+      </p>
+      <p ?hidden="${!this.scope}">${this.scope}</p>
+      <h3 ?hidden="${this.results.length === 0}">Results</h3>
+      ${this._renderResultVisualisation()} ${this._renderShapesIssues()}
+    `;
+  }
+
+  _renderShapesIssues() {
+    const { issues, linting, error } = this.shapesLint;
+    if (error) {
+      return html`
+        <h3>Shapes issues</h3>
+        <p>Could not check the shapes graph: ${error}</p>
+      `;
+    }
+    if (issues.length === 0) {
+      return linting
+        ? ""
+        : html`<h3>Shapes issues</h3>
+            <p>None found</p>`;
+    }
+
+    return html`
+      <h3>Shapes issues (${issues.length})</h3>
+      <shapes-issues
+        .issues="${issues}"
+        .customPrefixes="${this.customPrefixes}"
+      ></shapes-issues>
+    `;
+  }
+
+  _renderStatus() {
+    if (this.validating) {
+      return "Validating…";
+    }
+    if (this.error) {
+      return `Validation failed: ${this.error}`;
+    }
+
+    return this.conforms ? "Yes" : "No";
+  }
+
+  _renderExpectation() {
+    if (!this.expected || !this.actual) {
+      return "";
+    }
+
+    return html`
+      <h3>Expected outcome</h3>
+      <expectation-diff
+        .expected="${this.expected}"
+        .actual="${this.actual}"
+      ></expectation-diff>
     `;
   }
 
@@ -38,7 +146,26 @@ class ValidationReport extends connect(store, LitElement) {
     switch (this.displayAs) {
       case "tree":
         return html`
-          <error-summary .validationResults="${this.results}" .customPrefixes="${this.customPrefixes}"></error-summary>
+          <error-summary
+            .validationResults="${this.results}"
+            .customPrefixes="${this.customPrefixes}"
+            .highlight="${this.highlight}"
+            .focusNodeGraphs="${this.focusNodeGraphs}"
+          ></error-summary>
+        `;
+      case "table":
+        import("./components/results-table.js");
+        return html`
+          <results-table
+            .results="${this.results}"
+            .customPrefixes="${this.customPrefixes}"
+            .highlight="${this.highlight}"
+            .focusNodeGraphs="${this.focusNodeGraphs}"
+            .sortBy="${this.table.sortBy}"
+            .sortDirection="${this.table.sortDirection}"
+            .filters="${this.table.filters}"
+            .groupBy="${this.table.groupBy}"
+          ></results-table>
         `;
       case "raw": {
         import("@rdfjs-elements/rdf-snippet");
@@ -58,18 +185,56 @@ class ValidationReport extends connect(store, LitElement) {
     }
   }
 
+  mapEvents() {
+    return {
+      "result-selected": (e) =>
+        store.dispatch.playground.highlight({
+          model: "dataGraph",
+          subject: e.detail.focusNode,
+          predicate: e.detail.path,
+          object: e.detail.value,
+        }),
+      "shape-selected": (e) => store.dispatch.playground.showShape(e.detail),
+      "table-arranged": (e) => store.dispatch.validation.arrangeTable(e.detail),
+      "focus-node-pinned": (e) => {
+        const { focusNodes } = store.getState().validation.settings;
+        const { value } = e.detail.focusNode;
+        if (!focusNodes.includes(value)) {
+          store.dispatch.validation.configure({
+            focusNodes: [...focusNodes, value],
+          });
+        }
+      },
+    };
+  }
+
   mapState(state) {
     return {
       conforms: state.validation.conforms,
-      results: state.validation.results,
+      validating: state.validation.validating,
+      error: state.validation.error,
+      results: state.validation.results.filter((result) =>
+        state.validation.severityFilter.includes(severityOf(result))
+      ),
+      counts: state.validation.counts,
       report: state.validation.report,
       displayAs: state.validation.display,
+      table: state.validation.table,
+      highlight: state.playground.highlight,
+      scope: describeScope(state.validation),
+      focusNodeGraphs: state.validation.focusNodeGraphs,
+      shapesLint: state.shapesLint,
       prefixes: [
         "sh",
         ...state.shapesGraph.prefixes,
         ...state.dataGraph.prefixes,
       ].join(","),
-      customPrefixes: { ...state.shapesGraph.customPrefixes, ...state.dataGraph.customPrefixes }
+      customPrefixes: {
+        ...state.shapesGraph.customPrefixes,
+        ...state.dataGraph.customPrefixes,
+      },
+      expected: state.expectations.graphs[state.dataGraphs.selected],
+      actual: state.validation.report && expectationOf(state.validation),
     };
   }
 }
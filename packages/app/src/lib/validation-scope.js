@@ -0,0 +1,95 @@
+const SH = "http://www.w3.org/ns/shacl#";
+const RDF_TYPE = "http://www.w3.org/1999/02/22-rdf-syntax-ns#type";
+
+const targetPredicates = [
+  "targetClass",
+  "targetNode",
+  "targetSubjectsOf",
+  "targetObjectsOf",
+  "target",
+].map((name) => `${SH}${name}`);
+
+function isTargetDeclaration({ predicate, object }) {
+  // shapes which are also classes target their instances implicitly
+  return (
+    targetPredicates.includes(predicate.value) ||
+    (predicate.value === RDF_TYPE && !object.value.startsWith(SH))
+  );
+}
+
+function nodeShapes({ $shapes, shapesGraph }, factory) {
+  const declared = $shapes
+    .has(factory.namedNode(RDF_TYPE), factory.namedNode(`${SH}NodeShape`))
+    .terms.map((term) => shapesGraph.getShape(term));
+  const shapes = factory.termMap(
+    [...shapesGraph.shapesWithTarget, ...declared]
+      .filter((shape) => !shape.isPropertyShape)
+      .map((shape) => [shape.shapeNode, shape])
+  );
+
+  return [...shapes.values()];
+}
+
+/**
+ * Finds the focus nodes of every node shape, narrowed down to the selected shapes and pinned focus nodes
+ *
+ * @param {import('rdf-validate-shacl').default} validator - created for the complete shapes graph
+ * @param {DatasetCore} dataGraph
+ * @param {{ shapes: string[], focusNodes: string[] }} scope - IRIs, where empty arrays do not narrow anything down
+ * @param {import('@zazuko/env/web.js').default} factory
+ * @returns {{
+ *   targets: Array<{ shape: Term, focusNodes: Term[], active: boolean }>,
+ *   shapesGraph: Quad[] | undefined
+ * }} the shapes graph to validate instead, with focus nodes of active shapes as their only targets
+ */
+export function scopeTargets(
+  validator,
+  dataGraph,
+  { shapes, focusNodes },
+  factory
+) {
+  const { $shapes, shapesGraph } = validator;
+  const data = factory.clownface({ dataset: dataGraph });
+
+  const targets = nodeShapes(validator, factory).map((shape) => {
+    const targeted = shape.getTargetNodes(data);
+
+    return {
+      shape: shape.shapeNode,
+      active:
+        shapes.length === 0 ||
+        (shape.shapeNode.termType === "NamedNode" &&
+          shapes.includes(shape.shapeNode.value)),
+      focusNodes:
+        focusNodes.length === 0
+          ? targeted
+          : targeted.filter(
+              (node) =>
+                node.termType === "NamedNode" && focusNodes.includes(node.value)
+            ),
+    };
+  });
+
+  if (shapes.length === 0 && focusNodes.length === 0) {
+    return { targets, shapesGraph: undefined };
+  }
+
+  const targeting = factory.termSet(
+    shapesGraph.shapesWithTarget.map(({ shapeNode }) => shapeNode)
+  );
+  return {
+    targets,
+    shapesGraph: [
+      ...[...$shapes.dataset].filter(
+        (quad) => !targeting.has(quad.subject) || !isTargetDeclaration(quad)
+      ),
+      ...targets
+        .filter(({ active }) => active)
+        .flatMap(({ shape, focusNodes: nodes }) =>
+          nodes.map((node) =>
+            factory.quad(shape, factory.namedNode(`${SH}targetNode`), node)
+          )
+        ),
+    ],
+  };
+}
@@ -0,0 +1,56 @@
+import Validator from "rdf-validate-shacl";
+import rdf from "./env.js";
+import { fromPlain, toPlain } from "./quads.js";
+import { applySettings } from "./validator-settings.js";
+import { scopeTargets } from "./validation-scope.js";
+import { focusNodeGraphs } from "./named-graphs.js";
+
+function plainTerm({ termType, value }) {
+  return { termType, value };
+}
+
+globalThis.addEventListener("message", async ({ data }) => {
+  const { id, settings } = data;
+
+  try {
+    const { shapesGraph, dataGraph, options, scope } = applySettings(
+      fromPlain(data.shapesGraph, rdf),
+      fromPlain(data.dataGraph, rdf),
+      settings
+    );
+    // the selected graphs are validated as their union, where triples in several graphs count once
+    const dataset = rdf.dataset(
+      dataGraph.map(({ subject, predicate, object }) =>
+        rdf.quad(subject, predicate, object)
+      )
+    );
+    let validator = new Validator(rdf.dataset(shapesGraph), options);
+    const { targets, shapesGraph: scoped } = scopeTargets(
+      validator,
+      dataset,
+      scope,
+      rdf
+    );
+    if (scoped) {
+      validator = new Validator(rdf.dataset(scoped), options);
+    }
+    const report = await validator.validate(dataset);
+
+    globalThis.postMessage({
+      id,
+      conforms: report.conforms,
+      quads: toPlain(report.dataset),
+      targets: targets.map(({ shape, focusNodes, active }) => ({
+        shape: plainTerm(shape),
+        focusNodes: focusNodes.length,
+        active,
+      })),
+      focusNodeGraphs: focusNodeGraphs(
+        dataGraph,
+        report.results.map(({ focusNode }) => focusNode).filter(Boolean)
+      ),
+    });
+  } catch (error) {
+    globalThis.postMessage({ id, error: error.message });
+  }
+});
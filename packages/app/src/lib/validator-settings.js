@@ -0,0 +1,156 @@
+import rdf from "./env.js";
+import { selectGraphs } from "./named-graphs.js";
+
+const SH = "http://www.w3.org/ns/shacl#";
+const RDFS_SUB_CLASS_OF = "http://www.w3.org/2000/01/rdf-schema#subClassOf";
+const RDF_TYPE = "http://www.w3.org/1999/02/22-rdf-syntax-ns#type";
+
+/**
+ * Options of the validator, which are shared with the results so that they reproduce exactly
+ */
+export const defaultSettings = {
+  // stop after that many violations, 0 finds them all
+  maxErrors: 0,
+  allowNamedNodeInList: false,
+  validateDeactivated: false,
+  shapesGraphClasses: false,
+  inferTypes: false,
+  rejectSparql: false,
+  // IRIs of the node shapes to validate, all when empty
+  shapes: [],
+  // IRIs of the only focus nodes to validate, all when empty
+  focusNodes: [],
+  // IRIs of the data graph's named graphs to validate, where "" is the default graph, the union of all when empty
+  graphs: [],
+};
+
+/**
+ * Labels of the boolean settings
+ */
+export const toggles = {
+  allowNamedNodeInList: "Allow IRIs as RDF list nodes",
+  validateDeactivated: "Validate deactivated shapes",
+  shapesGraphClasses: "Use class hierarchy from the shapes graph",
+  inferTypes: "Infer types of superclasses (rdfs:subClassOf)",
+  rejectSparql: "Fail on SHACL-SPARQL constraints",
+};
+
+/**
+ * Checks whether the shapes have SHACL-SPARQL constraints, which the validator does not support
+ *
+ * @param {Quad[]} shapesGraph
+ * @returns {boolean}
+ */
+export function usesSparql(shapesGraph) {
+  return shapesGraph.some(({ predicate }) => predicate.value === `${SH}sparql`);
+}
+
+/**
+ * Adds the types which instances have through `rdfs:subClassOf`, so that constraints on `rdf:type` see them too
+ *
+ * @param {Quad[]} dataGraph - including the class hierarchy
+ * @returns {Quad[]}
+ */
+export function inferTypes(dataGraph) {
+  const superClasses = new Map();
+  dataGraph
+    .filter(({ predicate }) => predicate.value === RDFS_SUB_CLASS_OF)
+    .forEach(({ subject, object }) => {
+      superClasses.set(subject.value, [
+        ...(superClasses.get(subject.value) || []),
+        object,
+      ]);
+    });
+
+  const ancestors = (cls) => {
+    const found = new Map();
+    const queue = [cls];
+    while (queue.length > 0) {
+      (superClasses.get(queue.shift().value) || [])
+        .filter((parent) => !found.has(parent.value))
+        .forEach((parent) => {
+          found.set(parent.value, parent);
+          queue.push(parent);
+        });
+    }
+    return found;
+  };
+
+  const types = dataGraph.filter(
+    ({ predicate }) => predicate.value === RDF_TYPE
+  );
+  const key = (subject, cls) =>
+    `${subject.termType}:${subject.value} ${cls.value}`;
+  const known = new Set(
+    types.map(({ subject, object }) => key(subject, object))
+  );
+
+  return [
+    ...dataGraph,
+    ...types.flatMap(({ subject, predicate, object }) =>
+      [...ancestors(object).values()]
+        .filter((cls) => !known.has(key(subject, cls)))
+        .map((cls) => {
+          known.add(key(subject, cls));
+          return rdf.quad(subject, predicate, cls);
+        })
+    ),
+  ];
+}
+
+/**
+ * Prepares the graphs and the validator options according to the settings
+ *
+ * @param {Quad[]} shapesGraph
+ * @param {Quad[]} dataGraph
+ * @param {Partial<typeof defaultSettings>} [settings]
+ * @returns {{
+ *   shapesGraph: Quad[],
+ *   dataGraph: Quad[],
+ *   options: { maxErrors?: number, allowNamedNodeInList: boolean },
+ *   scope: { shapes: string[], focusNodes: string[] }
+ * }}
+ */
+export function applySettings(shapesGraph, dataGraph, settings) {
+  const {
+    maxErrors,
+    allowNamedNodeInList,
+    validateDeactivated,
+    shapesGraphClasses,
+    inferTypes: infer,
+    rejectSparql,
+    shapes,
+    focusNodes,
+    graphs,
+  } = { ...defaultSettings, ...settings };
+  const selected = selectGraphs(dataGraph, graphs);
+  // the validator only looks for subclasses in the data graph
+  const classified = shapesGraphClasses
+    ? [
+        ...selected,
+        ...shapesGraph.filter(
+          ({ predicate }) => predicate.value === RDFS_SUB_CLASS_OF
+        ),
+      ]
+    : selected;
+
+  if (rejectSparql && usesSparql(shapesGraph)) {
+    throw new Error(
+      "The shapes graph has SHACL-SPARQL constraints, which are not supported"
+    );
+  }
+
+  return {
+    shapesGraph: validateDeactivated
+      ? shapesGraph.filter(
+          ({ predicate }) => predicate.value !== `${SH}deactivated`
+        )
+      : shapesGraph,
+    dataGraph: infer ? inferTypes(classified) : classified,
+    options: {
+      ...(maxErrors > 0 && { maxErrors }),
+      allowNamedNodeInList,
+    },
+    scope: { shapes, focusNodes },
+  };
+}
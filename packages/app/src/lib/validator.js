@@ -0,0 +1,92 @@
+import rdf from "./env.js";
+import { fromPlain, toPlain } from "./quads.js";
+
+const channels = new Map();
+
+function createWorker() {
+  return new Worker(new URL("./validation-worker.js", import.meta.url), {
+    type: "module",
+  });
+}
+
+function getChannel(name) {
+  if (!channels.has(name)) {
+    channels.set(name, { worker: null, running: null, lastRun: 0 });
+  }
+
+  return channels.get(name);
+}
+
+/**
+ * Validates the data graph against the shapes graph in a Web Worker.
+ *
+ * Only one validation runs at a time in each channel. When called again before the previous run finished,
+ * the worker is terminated and the superseded call resolves with `null`.
+ *
+ * @param {Quad[]} shapesGraph
+ * @param {Quad[]} dataGraph
+ * @param {string} [channelName] - independent validations must use separate channels to not cancel each other
+ * @param {Partial<import('./validator-settings.js').defaultSettings>} [settings]
+ * @returns {Promise<{
+ *   conforms: boolean,
+ *   dataset: DatasetCore,
+ *   targets: Array<{ shape: Term, focusNodes: number, active: boolean }>,
+ *   focusNodeGraphs: Record<string, string[]>
+ * } | null>}
+ */
+export function validate(
+  shapesGraph,
+  dataGraph,
+  channelName = "dataGraph",
+  settings = {}
+) {
+  const channel = getChannel(channelName);
+  if (channel.running) {
+    channel.worker.terminate();
+    channel.worker = null;
+    channel.running(null);
+  }
+
+  channel.worker = channel.worker || createWorker();
+  channel.lastRun += 1;
+  const id = channel.lastRun;
+
+  return new Promise((resolve, reject) => {
+    channel.running = resolve;
+
+    channel.worker.onmessage = ({ data }) => {
+      if (data.id !== id) {
+        return;
+      }
+
+      channel.running = null;
+      if (data.error) {
+        reject(new Error(data.error));
+      } else {
+        resolve({
+          conforms: data.conforms,
+          dataset: rdf.dataset(fromPlain(data.quads, rdf)),
+          targets: data.targets.map(({ shape, ...target }) => ({
+            shape: rdf.fromTerm(shape),
+            ...target,
+          })),
+          focusNodeGraphs: data.focusNodeGraphs,
+        });
+      }
+    };
+    channel.worker.onerror = (e) => {
+      // the worker may be broken, so the next validation starts a new one
+      channel.worker.terminate();
+      channel.worker = null;
+      channel.running = null;
+      reject(new Error(e.message || "Validation worker failed"));
+    };
+
+    channel.worker.postMessage({
+      id,
+      shapesGraph: toPlain(shapesGraph),
+      dataGraph: toPlain(dataGraph),
+      settings,
+    });
+  });
+}
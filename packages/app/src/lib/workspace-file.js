@@ -0,0 +1,189 @@
+import { mediaTypes } from "@rdfjs-elements/formats-pretty";
+import rdf from "./env.js";
+import { parse, serialize } from "./serialization.js";
+import { prefixMap } from "./prefixes.js";
+
+const { rdf: rdfNs, rdfs } = rdf.ns;
+const playground = rdf.namespace("urn:x-shacl-playground:");
+
+/**
+ * Formats in which a workspace can be exported
+ */
+export const workspaceFormats = {
+  json: { label: "JSON", mediaType: "application/json", extension: "json" },
+  trig: { label: "TriG", mediaType: mediaTypes.trig, extension: "trig" },
+};
+
+function describeGraph(pointer, { name, format, prefixes, customPrefixes }) {
+  pointer
+    .addOut(rdfs.label, name)
+    .addOut(playground.format, format)
+    .addOut(playground.prefix, prefixes || []);
+  Object.entries(customPrefixes || {}).forEach(([prefix, namespace]) => {
+    pointer.addOut(playground.customPrefix, (custom) => {
+      custom
+        .addOut(playground.prefix, prefix)
+        .addOut(playground.namespace, rdf.namedNode(namespace));
+    });
+  });
+}
+
+async function toTrig(name, content) {
+  const graphs = [
+    {
+      term: playground("workspace/shapes"),
+      name: "Shapes graph",
+      ...content.shapesGraph,
+    },
+    ...content.dataGraphs.map((graph) => ({
+      term: playground(`workspace/data/${graph.id}`),
+      ...graph,
+    })),
+  ];
+
+  const description = rdf.clownface({ dataset: rdf.dataset() });
+  const [shapesGraph, ...dataGraphs] = graphs.map((graph) => {
+    const pointer = description.node(graph.term);
+    describeGraph(pointer, graph);
+    return pointer;
+  });
+  description
+    .namedNode(playground.workspace)
+    .addOut(rdfNs.type, playground.Workspace)
+    .addOut(rdfs.label, name)
+    .addOut(playground.shapesGraph, shapesGraph)
+    .addList(playground.dataGraphs, dataGraphs);
+
+  const quads = await Promise.all(
+    graphs.map(async ({ term, graph, format }) =>
+      (
+        await parse(graph || "", format)
+      ).map(({ subject, predicate, object }) =>
+        rdf.quad(subject, predicate, object, term)
+      )
+    )
+  );
+
+  return serialize(
+    [...description.dataset, ...quads.flat()],
+    mediaTypes.trig,
+    prefixMap(
+      graphs.flatMap(({ prefixes }) => prefixes || []),
+      Object.assign({}, ...graphs.map(({ customPrefixes }) => customPrefixes))
+    )
+  );
+}
+
+/**
+ * Serializes a workspace to a single file. JSON keeps everything as-is, while TriG has every graph
+ * in its own named graph, described in the default graph, but leaves out the expected outcomes and the validator settings
+ *
+ * @param {string} name
+ * @param {import('./workspaces.js').WorkspaceContent} content
+ * @param {'json' | 'trig'} format
+ * @returns {Promise<string>}
+ */
+export async function exportWorkspace(name, content, format) {
+  if (format === "trig") {
+    return toTrig(name, content);
+  }
+
+  return JSON.stringify({ name, ...content }, null, 2);
+}
+
+async function readGraph(pointer, dataset) {
+  const format = pointer.out(playground.format).value || mediaTypes.turtle;
+  const prefixes = pointer.out(playground.prefix).values;
+  const customPrefixes = Object.fromEntries(
+    pointer
+      .out(playground.customPrefix)
+      .map((custom) => [
+        custom.out(playground.prefix).value,
+        custom.out(playground.namespace).value,
+      ])
+  );
+  const quads = [...dataset.match(null, null, null, pointer.term)].map(
+    ({ subject, predicate, object }) => rdf.quad(subject, predicate, object)
+  );
+
+  return {
+    name: pointer.out(rdfs.label).value,
+    format,
+    graph: await serialize(quads, format, prefixMap(prefixes, customPrefixes)),
+    prefixes,
+    customPrefixes,
+  };
+}
+
+async function fromTrig(text) {
+  const dataset = rdf.dataset(await parse(text, mediaTypes.trig));
+  const workspace = rdf
+    .clownface({ dataset, graph: rdf.defaultGraph() })
+    .has(rdfNs.type, playground.Workspace)
+    .toArray()[0];
+  if (!workspace) {
+    throw new Error("The document does not describe a workspace");
+  }
+
+  const { name: ignored, ...shapesGraph } = await readGraph(
+    workspace.out(playground.shapesGraph),
+    dataset
+  );
+  const dataGraphs = await Promise.all(
+    [...(workspace.out(playground.dataGraphs).list() || [])].map(
+      async (pointer, index) => ({
+        id: `g${index + 1}`,
+        ...(await readGraph(pointer, dataset)),
+      })
+    )
+  );
+  if (dataGraphs.length === 0) {
+    throw new Error("The workspace does not have any data graphs");
+  }
+
+  return {
+    name: workspace.out(rdfs.label).value,
+    content: { shapesGraph, dataGraphs, selected: "g1", expectations: {} },
+  };
+}
+
+function fromJson(text) {
+  const {
+    name,
+    shapesGraph,
+    dataGraphs,
+    selected,
+    expectations,
+    validationSettings,
+  } = JSON.parse(text);
+  if (!shapesGraph || !Array.isArray(dataGraphs) || dataGraphs.length === 0) {
+    throw new Error("The file is not a workspace");
+  }
+
+  return {
+    name,
+    content: {
+      shapesGraph,
+      dataGraphs,
+      selected: dataGraphs.some(({ id }) => id === selected)
+        ? selected
+        : dataGraphs[0].id,
+      expectations: expectations || {},
+      validationSettings,
+    },
+  };
+}
+
+/**
+ * Reads a workspace exported with `exportWorkspace`, detecting the format from the file extension
+ *
+ * @param {File} file
+ * @returns {Promise<{ name: string | undefined, content: import('./workspaces.js').WorkspaceContent }>}
+ */
+export async function importWorkspace(file) {
+  const text = await file.text();
+
+  return file.name.toLowerCase().endsWith(".trig")
+    ? fromTrig(text)
+    : fromJson(text);
+}
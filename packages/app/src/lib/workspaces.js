@@ -0,0 +1,230 @@
+const DATABASE = "shacl-playground";
+const ACTIVE_KEY = `${window.location.hostname}:workspace`;
+
+/**
+ * @typedef {{ format: string, graph: string, prefixes: string[], customPrefixes: Record<string, string> }} GraphContent
+ * @typedef {{
+ *   shapesGraph: GraphContent,
+ *   dataGraphs: Array<GraphContent & { id: string, name: string }>,
+ *   selected: string,
+ *   expectations: Record<string, unknown>,
+ *   validationSettings?: Partial<import('./validator-settings.js').defaultSettings>
+ * }} WorkspaceContent
+ */
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+let database;
+
+function openDatabase() {
+  if (!database) {
+    const req = indexedDB.open(DATABASE, 1);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      // workspace names are kept apart from their contents, so that listing them stays cheap
+      db.createObjectStore("workspaces", { keyPath: "id" });
+      db.createObjectStore("contents");
+      db.createObjectStore("versions", {
+        keyPath: "id",
+        autoIncrement: true,
+      }).createIndex("workspace", "workspace");
+    };
+    database = request(req);
+  }
+
+  return database;
+}
+
+async function objectStore(name, mode = "readonly") {
+  const db = await openDatabase();
+  return db.transaction(name, mode).objectStore(name);
+}
+
+/**
+ * Gets the id of the workspace last opened in this browser
+ *
+ * @returns {string | null}
+ */
+export function activeWorkspaceId() {
+  return localStorage.getItem(ACTIVE_KEY);
+}
+
+/**
+ * @param {string} id
+ */
+export function setActiveWorkspaceId(id) {
+  localStorage.setItem(ACTIVE_KEY, id);
+}
+
+/**
+ * @returns {Promise<Array<{ id: string, name: string, modified: number }>>}
+ */
+export async function listWorkspaces() {
+  const workspaces = await request((await objectStore("workspaces")).getAll());
+  return workspaces.sort((left, right) => left.name.localeCompare(right.name));
+}
+
+/**
+ * @param {string} name
+ * @param {WorkspaceContent} content
+ * @returns {Promise<{ id: string, name: string, modified: number }>}
+ */
+export async function createWorkspace(name, content) {
+  const workspace = { id: crypto.randomUUID(), name, modified: Date.now() };
+
+  await request((await objectStore("workspaces", "readwrite")).add(workspace));
+  await request(
+    (await objectStore("contents", "readwrite")).put(content, workspace.id)
+  );
+
+  return workspace;
+}
+
+/**
+ * @param {string} id
+ * @param {string} name
+ */
+export async function renameWorkspace(id, name) {
+  const workspaces = await objectStore("workspaces", "readwrite");
+  const workspace = await request(workspaces.get(id));
+
+  await request(workspaces.put({ ...workspace, name }));
+}
+
+/**
+ * Removes a workspace with its contents and saved versions
+ *
+ * @param {string} id
+ */
+export async function deleteWorkspace(id) {
+  const versions = await objectStore("versions", "readwrite");
+  const keys = await request(versions.index("workspace").getAllKeys(id));
+  await Promise.all(keys.map((key) => request(versions.delete(key))));
+
+  await request((await objectStore("contents", "readwrite")).delete(id));
+  await request((await objectStore("workspaces", "readwrite")).delete(id));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<WorkspaceContent | undefined>}
+ */
+export async function loadContent(id) {
+  return request((await objectStore("contents")).get(id));
+}
+
+/**
+ * @param {string} id
+ * @param {WorkspaceContent} content
+ */
+export async function saveContent(id, content) {
+  const workspaces = await objectStore("workspaces", "readwrite");
+  const workspace = await request(workspaces.get(id));
+  if (!workspace) {
+    return;
+  }
+
+  await request(workspaces.put({ ...workspace, modified: Date.now() }));
+  await request((await objectStore("contents", "readwrite")).put(content, id));
+}
+
+/**
+ * Stores a copy of the content which can be restored later
+ *
+ * @param {string} workspace - workspace id
+ * @param {string} label
+ * @param {WorkspaceContent} content
+ */
+export async function saveVersion(workspace, label, content) {
+  await request(
+    (
+      await objectStore("versions", "readwrite")
+    ).add({
+      workspace,
+      label,
+      created: Date.now(),
+      content,
+    })
+  );
+}
+
+/**
+ * @param {string} workspace - workspace id
+ * @returns {Promise<Array<{ id: number, label: string, created: number }>>} newest first
+ */
+export async function listVersions(workspace) {
+  const versions = await request(
+    (await objectStore("versions")).index("workspace").getAll(workspace)
+  );
+
+  return versions
+    .map(({ id, label, created }) => ({ id, label, created }))
+    .sort((left, right) => right.created - left.created);
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<WorkspaceContent | undefined>}
+ */
+export async function loadVersion(id) {
+  const version = await request((await objectStore("versions")).get(id));
+  return version?.content;
+}
+
+/**
+ * Gets the shapes graph, the data graphs, the expectations and the validator settings which make up a workspace
+ *
+ * @returns {WorkspaceContent}
+ */
+export function workspaceContent({
+  shapesGraph,
+  dataGraph,
+  dataGraphs,
+  expectations,
+  validation,
+}) {
+  const graphContent = ({ format, graph, prefixes, customPrefixes }) => ({
+    format,
+    graph,
+    prefixes,
+    customPrefixes,
+  });
+
+  return {
+    shapesGraph: graphContent(shapesGraph),
+    // the selected graph is edited in the dataGraph model
+    dataGraphs: dataGraphs.graphs.map(({ id, name, ...graph }) => ({
+      id,
+      name,
+      ...graphContent(id === dataGraphs.selected ? dataGraph : graph),
+    })),
+    selected: dataGraphs.selected,
+    expectations: expectations.graphs,
+    // the selected named graphs and shapes only make sense for the graphs of this workspace
+    validationSettings: validation.settings,
+  };
+}
+
+/**
+ * Creates storage for rdx `persist`, which writes the content of the active workspace to IndexedDB.
+ * Nothing is read synchronously, the workspace is opened by the `workspaces/init` effect instead
+ *
+ * @param {(error: Error) => void} onError - called when the content could not be saved
+ */
+export function workspaceStorage(onError) {
+  return {
+    getItem() {
+      return null;
+    },
+    setItem(name, { id, content }) {
+      if (id) {
+        saveContent(id, content).catch(onError);
+      }
+    },
+  };
+}
@@ -0,0 +1,193 @@
+import * as assert from "assert";
+import {
+  compare,
+  expectedResult,
+  readManifest,
+  relativizeManifest,
+  writeManifest,
+} from "../src/lib/expectations.js";
+import { parse, serialize } from "../src/lib/serialization.js";
+import rdf from "../src/lib/env.js";
+
+const { rdf: rdfNs, schema, sh, xsd } = rdf.ns;
+const ex = rdf.namespace("http://example.org/");
+
+function result(focusNode, path = schema.name) {
+  return expectedResult(
+    rdf
+      .clownface()
+      .blankNode()
+      .addOut(rdfNs.type, sh.ValidationResult)
+      .addOut(sh.focusNode, focusNode)
+      .addOut(sh.resultPath, path)
+      .addOut(sh.resultSeverity, sh.Violation)
+      .addOut(sh.sourceConstraintComponent, sh.MinCountConstraintComponent)
+  );
+}
+
+describe("expectations", () => {
+  describe("compare", () => {
+    it("passes when the results match in any order", () => {
+      // given
+      const expected = {
+        conforms: false,
+        results: [result(ex.alice), result(ex.bob)],
+      };
+      const actual = {
+        conforms: false,
+        results: [result(ex.bob), result(ex.alice)],
+      };
+
+      // when
+      const comparison = compare(expected, actual);
+
+      // then
+      assert.deepEqual(comparison, {
+        passed: true,
+        conformsMatches: true,
+        missing: [],
+        unexpected: [],
+      });
+    });
+
+    it("reports missing and unexpected results", () => {
+      // given
+      const expected = {
+        conforms: false,
+        results: [result(ex.alice), result(ex.bob)],
+      };
+      const actual = {
+        conforms: false,
+        results: [result(ex.bob), result(ex.carol)],
+      };
+
+      // when
+      const comparison = compare(expected, actual);
+
+      // then
+      assert.equal(comparison.passed, false);
+      assert.deepEqual(comparison.missing, [result(ex.alice)]);
+      assert.deepEqual(comparison.unexpected, [result(ex.carol)]);
+    });
+
+    it("matches every expected result once", () => {
+      // given
+      const expected = {
+        conforms: false,
+        results: [result(ex.alice), result(ex.alice)],
+      };
+      const actual = { conforms: false, results: [result(ex.alice)] };
+
+      // when
+      const comparison = compare(expected, actual);
+
+      // then
+      assert.deepEqual(comparison.missing, [result(ex.alice)]);
+      assert.deepEqual(comparison.unexpected, []);
+    });
+
+    it("matches blank nodes regardless of their labels", () => {
+      // given
+      const expected = {
+        conforms: false,
+        results: [result(rdf.blankNode("expected"))],
+      };
+      const actual = {
+        conforms: false,
+        results: [result(rdf.blankNode("actual"))],
+      };
+
+      // when
+      const comparison = compare(expected, actual);
+
+      // then
+      assert.equal(comparison.passed, true);
+    });
+
+    it("fails when only conformance differs", () => {
+      // when
+      const comparison = compare(
+        { conforms: true, results: [] },
+        { conforms: false, results: [] }
+      );
+
+      // then
+      assert.equal(comparison.passed, false);
+      assert.equal(comparison.conformsMatches, false);
+    });
+  });
+
+  describe("manifest", () => {
+    it("reads back the expectation it was written with", async () => {
+      // given
+      const shapesGraph = await parse(
+        `<http://example.org/PersonShape> a <http://www.w3.org/ns/shacl#NodeShape> .`,
+        "text/turtle"
+      );
+      const dataGraph = await parse(
+        `[] <http://schema.org/age> "42"^^<${xsd.integer.value}> .`,
+        "text/turtle"
+      );
+      const expectation = {
+        conforms: false,
+        results: [
+          result(ex.alice),
+          expectedResult(
+            rdf
+              .clownface()
+              .blankNode()
+              .addOut(sh.focusNode, rdf.blankNode())
+              .addOut(sh.resultPath, schema.age)
+              .addOut(sh.value, rdf.literal("42", xsd.integer))
+              .addOut(sh.sourceShape, ex.PersonShape)
+          ),
+        ],
+      };
+
+      // when
+      const turtle = relativizeManifest(
+        await serialize(
+          writeManifest({
+            shapesGraph,
+            dataGraph,
+            label: "my test",
+            expectation,
+          }),
+          "text/turtle"
+        )
+      );
+      const manifest = readManifest(
+        rdf.dataset(
+          await parse(turtle, "text/turtle", {
+            baseIRI: "http://example.com/manifest.ttl",
+          })
+        )
+      );
+
+      // then
+      assert.deepEqual(manifest, { label: "my test", expectation });
+    });
+
+    it("rejects test cases with external graphs", async () => {
+      // given
+      const dataset = rdf.dataset(
+        await parse(
+          `@prefix mf: <http://www.w3.org/2001/sw/DataAWG/tests/test-manifest#> .
+@prefix sht: <http://www.w3.org/ns/shacl-test#> .
+
+<> a mf:Manifest ;
+  mf:entries ( <#test> ) .
+
+<#test> a sht:Validate ;
+  mf:action [ sht:dataGraph <data.ttl> ; sht:shapesGraph <> ] .
+`,
+          "text/turtle",
+          { baseIRI: "http://example.com/manifest.ttl" }
+        )
+      );
+
+      // then
+      assert.throws(() => readManifest(dataset), /manifest itself/);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import * as assert from "assert";
+import { jsonLdContext, turtlePrefixes } from "../src/lib/prefixes.js";
+
+describe("prefixes", () => {
+  describe("turtlePrefixes", () => {
+    it("finds Turtle and SPARQL-style declarations", () => {
+      // given
+      const text = `@prefix : <http://example.org/> .
+PREFIX schema: <http://schema.org/>
+prefix sh:<http://www.w3.org/ns/shacl#>
+
+:alice a schema:Person .`;
+
+      // when
+      const prefixes = turtlePrefixes(text);
+
+      // then
+      assert.deepEqual(prefixes, {
+        "": "http://example.org/",
+        schema: "http://schema.org/",
+        sh: "http://www.w3.org/ns/shacl#",
+      });
+    });
+  });
+
+  describe("jsonLdContext", () => {
+    it("tells prefixes from other terms", () => {
+      // given
+      const text = JSON.stringify({
+        "@context": {
+          "@vocab": "http://schema.org/",
+          ex: "http://example.org/",
+          urn: "urn:example:",
+          sh: { "@id": "http://www.w3.org/ns/shacl", "@prefix": true },
+          knows: { "@id": "schema:knows", "@type": "@id" },
+          home: { "@id": "http://example.org/home/", "@prefix": false },
+        },
+        "@id": "ex:alice",
+      });
+
+      // when
+      const context = jsonLdContext(text);
+
+      // then
+      assert.deepEqual(context, {
+        vocab: "http://schema.org/",
+        prefixes: {
+          ex: "http://example.org/",
+          urn: "urn:example:",
+          sh: "http://www.w3.org/ns/shacl",
+        },
+        terms: {
+          knows: "schema:knows",
+          home: "http://example.org/home/",
+        },
+      });
+    });
+
+    it("is empty for invalid documents", () => {
+      // when
+      const context = jsonLdContext("{");
+
+      // then
+      assert.deepEqual(context, { prefixes: {}, terms: {} });
+    });
+  });
+});
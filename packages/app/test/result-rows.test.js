@@ -0,0 +1,51 @@
+import * as assert from "assert";
+import { resultMessage, toRow } from "../src/lib/result-rows.js";
+import rdf from "../src/lib/env.js";
+
+const { sh } = rdf.ns;
+
+function result() {
+  return rdf.clownface().namedNode("http://example.org/result");
+}
+
+describe("result-rows", () => {
+  describe("resultMessage", () => {
+    it("joins the messages of a result", () => {
+      // given
+      const pointer = result()
+        .addOut(sh.resultMessage, "Too short")
+        .addOut(sh.resultMessage, "Too few");
+
+      // when
+      const message = resultMessage(pointer);
+
+      // then
+      assert.deepEqual(message.split("; ").sort(), ["Too few", "Too short"]);
+    });
+
+    it("names the constraint component when there is no message", () => {
+      // given
+      const pointer = result().addOut(
+        sh.sourceConstraintComponent,
+        sh.MinCountConstraintComponent
+      );
+
+      // when
+      const message = resultMessage(pointer);
+
+      // then
+      assert.equal(message, "Violated sh:MinCountConstraintComponent");
+    });
+
+    it("is the message of table rows", () => {
+      // given
+      const pointer = result();
+
+      // when
+      const { message } = toRow(pointer, {});
+
+      // then
+      assert.equal(message, "Unspecified error");
+    });
+  });
+});
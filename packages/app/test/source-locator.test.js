@@ -0,0 +1,230 @@
+import * as assert from "assert";
+import { locate, shapePattern } from "../src/lib/source-locator.js";
+import { parse } from "../src/lib/serialization.js";
+import rdf from "../src/lib/env.js";
+
+const { rdf: rdfNs, schema, sh } = rdf.ns;
+const ex = rdf.namespace("http://example.org/");
+
+const turtle = `@prefix ex: <http://example.org/> .
+@prefix schema: <http://schema.org/> .
+PREFIX sh: <http://www.w3.org/ns/shacl#>
+
+ex:alice a schema:Person ;
+  schema:name "Alice" ;
+  schema:knows ex:bob, ex:carol .
+
+<http://example.org/bob> schema:name "Bob" .
+
+ex:PersonShape a sh:NodeShape ;
+  sh:targetClass schema:Person ;
+  sh:property [
+    sh:path schema:name ;
+    sh:minCount 1 ;
+  ] , [
+    sh:path schema:knows ;
+  ] .
+`;
+
+const ntriples = `<http://example.org/alice> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <http://schema.org/Person> .
+<http://example.org/alice> <http://schema.org/name> "Alice" .
+<http://example.org/bob> <http://schema.org/name> "Bob" .
+_:b1 <http://schema.org/name> "Anon" .
+`;
+
+const jsonLd = `{
+  "@context": {
+    "ex": "http://example.org/",
+    "schema": "http://schema.org/",
+    "knows": { "@id": "schema:knows", "@type": "@id" }
+  },
+  "@graph": [
+    {
+      "@id": "ex:alice",
+      "@type": "schema:Person",
+      "schema:name": "Alice",
+      "knows": ["ex:bob", "ex:carol"]
+    },
+    {
+      "@id": "http://example.org/bob",
+      "schema:name": "Bob"
+    }
+  ]
+}`;
+
+describe("source-locator", () => {
+  describe("locate", () => {
+    describe("in Turtle", () => {
+      const format = "text/turtle";
+
+      it("finds all lines of a subject", () => {
+        // when
+        const lines = locate(turtle, format, { subject: ex.alice });
+
+        // then
+        assert.deepEqual(lines, [4, 5, 6]);
+      });
+
+      it("finds rdf:type written as a", () => {
+        // when
+        const lines = locate(turtle, format, {
+          subject: ex.alice,
+          predicate: rdfNs.type,
+          object: schema.Person,
+        });
+
+        // then
+        assert.deepEqual(lines, [4]);
+      });
+
+      it("finds a literal object", () => {
+        // when
+        const lines = locate(turtle, format, {
+          subject: ex.alice,
+          predicate: schema.name,
+          object: rdf.literal("Alice"),
+        });
+
+        // then
+        assert.deepEqual(lines, [5]);
+      });
+
+      it("finds an object in an object list", () => {
+        // when
+        const lines = locate(turtle, format, {
+          subject: ex.alice,
+          predicate: schema.knows,
+          object: ex.carol,
+        });
+
+        // then
+        assert.deepEqual(lines, [6]);
+      });
+
+      it("finds a subject written as a full IRI", () => {
+        // when
+        const lines = locate(turtle, format, {
+          subject: ex.bob,
+          predicate: schema.name,
+        });
+
+        // then
+        assert.deepEqual(lines, [8]);
+      });
+    });
+
+    describe("in N-Triples", () => {
+      const format = "application/n-triples";
+
+      it("finds all lines of a subject", () => {
+        // when
+        const lines = locate(ntriples, format, { subject: ex.alice });
+
+        // then
+        assert.deepEqual(lines, [0, 1]);
+      });
+
+      it("finds a triple by predicate and object", () => {
+        // when
+        const lines = locate(ntriples, format, {
+          predicate: schema.name,
+          object: rdf.literal("Bob"),
+        });
+
+        // then
+        assert.deepEqual(lines, [2]);
+      });
+
+      it("finds a blank node subject by its label", async () => {
+        // given
+        const [, , , { subject }] = await parse(ntriples, format);
+
+        // when
+        const lines = locate(ntriples, format, { subject });
+
+        // then
+        assert.deepEqual(lines, [3]);
+      });
+    });
+
+    describe("in JSON-LD", () => {
+      const format = "application/ld+json";
+
+      it("finds a subject by its compact IRI", () => {
+        // when
+        const lines = locate(jsonLd, format, { subject: ex.alice });
+
+        // then
+        assert.deepEqual(lines, [8]);
+      });
+
+      it("finds rdf:type written as @type", () => {
+        // when
+        const lines = locate(jsonLd, format, {
+          subject: ex.alice,
+          predicate: rdfNs.type,
+        });
+
+        // then
+        assert.deepEqual(lines, [9]);
+      });
+
+      it("finds a predicate defined by a context term", () => {
+        // when
+        const lines = locate(jsonLd, format, {
+          subject: ex.alice,
+          predicate: schema.knows,
+          object: ex.carol,
+        });
+
+        // then
+        assert.deepEqual(lines, [11]);
+      });
+
+      it("finds a subject written as a full IRI", () => {
+        // when
+        const lines = locate(jsonLd, format, {
+          subject: ex.bob,
+          predicate: schema.name,
+        });
+
+        // then
+        assert.deepEqual(lines, [15]);
+      });
+    });
+  });
+
+  describe("shapePattern", () => {
+    let shapesGraph;
+
+    before(async () => {
+      shapesGraph = rdf.dataset(await parse(turtle, "text/turtle"));
+    });
+
+    it("looks up a named shape by its subject", () => {
+      // when
+      const pattern = shapePattern(ex.PersonShape, shapesGraph);
+
+      // then
+      assert.deepEqual(pattern, { subject: ex.PersonShape });
+    });
+
+    it("looks up a blank node property shape by its path", () => {
+      // given
+      const [{ subject: shape }] = shapesGraph.match(
+        null,
+        sh.path,
+        schema.knows
+      );
+
+      // when
+      const pattern = shapePattern(shape, shapesGraph);
+
+      // then
+      assert.ok(pattern.subject.equals(ex.PersonShape));
+      assert.ok(pattern.predicate.equals(sh.path));
+      assert.ok(pattern.object.equals(schema.knows));
+      assert.deepEqual(locate(turtle, "text/turtle", pattern), [16]);
+    });
+  });
+});
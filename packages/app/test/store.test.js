@@ -0,0 +1,238 @@
+import * as assert from "assert";
+
+const manifest = `@prefix mf: <http://www.w3.org/2001/sw/DataAWG/tests/test-manifest#> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix sh: <http://www.w3.org/ns/shacl#> .
+@prefix sht: <http://www.w3.org/ns/shacl-test#> .
+
+<> a mf:Manifest ;
+  mf:entries ( <#test> ) .
+
+<#test> a sht:Validate ;
+  rdfs:label "my test" ;
+  mf:action [ sht:dataGraph <> ; sht:shapesGraph <> ] ;
+  mf:result [ a sh:ValidationReport ; sh:conforms true ] .
+`;
+
+function createTestStore({ createModel, createStore }, models) {
+  const {
+    dataGraphs,
+    expectations,
+    validation,
+    workspaces,
+    graphReducers,
+    emptyGraph,
+    graphEffects,
+  } = models;
+  // the app's graph models load their default graphs with a Vite import
+  const graphModel = (name, graph) =>
+    createModel({
+      state: { ...emptyGraph, graph },
+      reducers: graphReducers,
+      effects: graphEffects(name),
+    });
+
+  return createStore({
+    models: {
+      dataGraphs,
+      expectations,
+      validation,
+      workspaces,
+      // restoring shared links needs the whole app, so only the call is recorded
+      playground: createModel({
+        state: { restored: false },
+        reducers: {
+          restoreState(state) {
+            return { ...state, restored: true };
+          },
+        },
+      }),
+      dataGraph: graphModel("dataGraph", "<a> <b> <c> ."),
+      shapesGraph: graphModel("shapesGraph", ""),
+    },
+  });
+}
+
+function settle() {
+  return new Promise((resolve) => {
+    setTimeout(resolve, 0);
+  });
+}
+
+async function waitFor(condition) {
+  if (!condition()) {
+    await settle();
+    await waitFor(condition);
+  }
+}
+
+// rdx reads the browser history when loaded
+const browserGlobals = {
+  window: globalThis,
+  document: { baseURI: "http://example.com/" },
+  location: new URL("http://example.com/"),
+};
+
+describe("shacl-playground", () => {
+  let store;
+  let initialState;
+  let nodeGlobals;
+
+  before(async () => {
+    nodeGlobals = Object.keys(browserGlobals).map((name) => [
+      name,
+      Object.getOwnPropertyDescriptor(globalThis, name),
+    ]);
+    Object.assign(globalThis, browserGlobals);
+    const rdx = await import("@captaincodeman/rdx");
+    const models = {
+      ...(await import("../src/lib/store/models/dataGraphs.js")),
+      ...(await import("../src/lib/store/models/expectations.js")),
+      ...(await import("../src/lib/store/models/validation.js")),
+      ...(await import("../src/lib/store/models/workspaces.js")),
+      ...(await import("../src/lib/store/models/graphModel.js")),
+      graphReducers: await import("../src/lib/store/models/graphReducers.js"),
+    };
+
+    // effects of every store created by rdx stay registered, so the store is shared by all tests
+    store = createTestStore(rdx, models);
+    initialState = store.state;
+  });
+
+  after(() => {
+    // the tests of the other packages run in the same process
+    nodeGlobals.forEach(([name, descriptor]) => {
+      if (descriptor) {
+        Object.defineProperty(globalThis, name, descriptor);
+      } else {
+        delete globalThis[name];
+      }
+    });
+  });
+
+  beforeEach(() => {
+    store.state = initialState;
+  });
+
+  describe("dataGraphs", () => {
+    beforeEach(async () => {
+      store.dispatch.dataGraphs.add({ graph: "<d> <e> <f> ." });
+      await settle();
+    });
+
+    describe("add", () => {
+      it("reports an empty graph as parsed", async () => {
+        // when
+        store.dispatch.dataGraphs.add();
+        await settle();
+
+        // then
+        const { dataGraphs: state, dataGraph } = store.state;
+        assert.equal(state.selected, "g3");
+        assert.deepEqual(dataGraph.quads, []);
+        assert.equal(dataGraph.format, "text/turtle");
+      });
+    });
+
+    describe("removeSelected", () => {
+      it("removes the selected graph and selects its neighbour", async () => {
+        // when
+        store.dispatch.dataGraphs.removeSelected();
+        await settle();
+
+        // then
+        const { dataGraphs: state, dataGraph } = store.state;
+        assert.deepEqual(
+          state.graphs.map(({ id }) => id),
+          ["g1"]
+        );
+        assert.equal(state.selected, "g1");
+        assert.equal(dataGraph.graph, "<a> <b> <c> .");
+      });
+
+      it("clears the expectation of the removed graph", async () => {
+        // given
+        store.dispatch.expectations.set({
+          id: "g2",
+          expectation: { conforms: true, results: [] },
+        });
+
+        // when
+        store.dispatch.dataGraphs.removeSelected();
+        await settle();
+
+        // then
+        assert.deepEqual(store.state.expectations.graphs, {});
+      });
+
+      it("keeps the last graph", async () => {
+        // given
+        store.dispatch.dataGraphs.removeSelected();
+        await settle();
+
+        // when
+        store.dispatch.dataGraphs.removeSelected();
+        await settle();
+
+        // then
+        const { dataGraphs: state } = store.state;
+        assert.deepEqual(
+          state.graphs.map(({ id }) => id),
+          ["g1"]
+        );
+        assert.equal(state.selected, "g1");
+      });
+    });
+  });
+
+  describe("expectations", () => {
+    describe("importManifest", () => {
+      it("sets the expectation of the added data graph", async () => {
+        // when
+        store.dispatch.expectations.importManifest(manifest);
+        await waitFor(() => store.state.dataGraphs.selected === "g2");
+
+        // then
+        const { dataGraphs, expectations } = store.state;
+        assert.deepEqual(
+          dataGraphs.graphs.map(({ name }) => name),
+          ["Data graph 1", "my test"]
+        );
+        assert.deepEqual(expectations.graphs, {
+          g2: { conforms: true, results: [] },
+        });
+      });
+    });
+  });
+
+  describe("workspaces", () => {
+    describe("init", () => {
+      it("restores the shared state when the workspaces cannot be opened", async () => {
+        // when
+        store.dispatch.workspaces.init();
+        await waitFor(() => store.state.playground.restored);
+
+        // then
+        assert.match(store.state.workspaces.error, /indexedDB/);
+      });
+    });
+
+    describe("reset", () => {
+      it("restores the validator settings of the sample", async () => {
+        // given
+        store.dispatch.validation.configure({ graphs: [""], inferTypes: true });
+        await settle();
+
+        // when
+        store.dispatch.workspaces.reset();
+        await settle();
+
+        // then
+        assert.deepEqual(
+          store.state.validation.settings,
+          initialState.validation.settings
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { createReadStream } from "fs";
+import { extname } from "path";
+import { parseArgs } from "util";
+import $rdf from "@zazuko/env";
+import pretty from "@rdfjs-elements/formats-pretty";
+import Validator from "rdf-validate-shacl";
+import { createPlaygroundUrl } from "./index.js";
+
+$rdf.formats.import(pretty);
+
+const { sh } = $rdf.ns;
+
+const usage = `Usage: shacl-playground [options] <shapes> <data>
+
+Prints a link to the SHACL Playground with the given shapes and data graphs
+
+Options:
+  --validate             validate the data graph, print a summary and exit with 1 on violations
+  --format <media type>  format of the graphs in the link (default: text/turtle)
+  --prefix <prefix>      prefix to use when serializing the graphs, may be repeated
+  --base <iri>           resolve relative IRIs against this IRI (default: keep them relative)
+  --instance-url <url>   URL of the playground (default: https://shacl-playground.zazuko.com)
+  --legacy               create a link with plain-text parameters instead of compressed state
+  -h, --help             show this help
+`;
+
+const extensions = {
+  ttl: "text/turtle",
+  nt: "application/n-triples",
+  nq: "application/n-quads",
+  trig: "application/trig",
+  n3: "text/n3",
+  jsonld: "application/ld+json",
+  json: "application/ld+json",
+  rdf: "application/rdf+xml",
+  owl: "application/rdf+xml",
+  xml: "application/rdf+xml",
+};
+
+async function load(path, baseIRI) {
+  const mediaType = extensions[extname(path).substring(1).toLowerCase()];
+  if (!mediaType) {
+    throw new Error(`Unsupported file type: ${path}`);
+  }
+
+  const input = createReadStream(path);
+  const quadStream = $rdf.formats.parsers.import(
+    mediaType,
+    input,
+    // relative IRIs stay relative by default, so that the link reproduces the files
+    baseIRI && { baseIRI }
+  );
+  if (!quadStream) {
+    input.destroy();
+    throw new Error(`No parser found for ${mediaType}`);
+  }
+  // parsers do not forward errors of their input, such as a missing file
+  input.once("error", (e) => quadStream.destroy(e));
+
+  return $rdf.dataset().import(quadStream);
+}
+
+function localName(term) {
+  return term.value.replace(sh().value, "");
+}
+
+function summarize({ results }) {
+  const counts = results.reduce((map, { severity }) => {
+    const name = localName(severity);
+    return { ...map, [name]: (map[name] || 0) + 1 };
+  }, {});
+
+  const lines = results.map(({ severity, focusNode, path, message }) =>
+    [
+      localName(severity),
+      focusNode.value,
+      path ? path.value : "",
+      message.map(({ value }) => value).join("; "),
+    ]
+      .filter(Boolean)
+      .join("  ")
+  );
+
+  const total = Object.entries(counts)
+    .map(([severity, count]) => `${count} ${severity}`)
+    .join(", ");
+
+  return [...lines, total || "Conforms"].join("\n");
+}
+
+/**
+ * Runs the command line interface
+ *
+ * @param {string[]} args - command line arguments
+ * @param {{ stdout: NodeJS.WritableStream, stderr: NodeJS.WritableStream }} io
+ * @returns {Promise<number>} exit code
+ */
+export async function run(args, { stdout, stderr }) {
+  let options;
+  try {
+    options = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        validate: { type: "boolean" },
+        format: { type: "string", default: "text/turtle" },
+        prefix: { type: "string", multiple: true, default: [] },
+        base: { type: "string" },
+        "instance-url": { type: "string" },
+        legacy: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${usage}`);
+    return 2;
+  }
+
+  const { values, positionals } = options;
+  if (values.help) {
+    stdout.write(usage);
+    return 0;
+  }
+  if (positionals.length !== 2) {
+    stderr.write(usage);
+    return 2;
+  }
+
+  try {
+    const [shapesGraph, dataGraph] = await Promise.all(
+      positionals.map((path) => load(path, values.base))
+    );
+
+    const link = await createPlaygroundUrl(shapesGraph, dataGraph, {
+      shapesGraphFormat: values.format,
+      dataGraphFormat: values.format,
+      prefixes: values.prefix,
+      compress: !values.legacy,
+      env: $rdf,
+      ...(values["instance-url"] && { instanceUrl: values["instance-url"] }),
+    });
+    stdout.write(`${link}\n`);
+
+    if (!values.validate) {
+      return 0;
+    }
+
+    const report = await new Validator(shapesGraph).validate(dataGraph);
+    stderr.write(`${summarize(report)}\n`);
+
+    return report.results.some(({ severity }) => severity.equals(sh.Violation))
+      ? 1
+      : 0;
+  } catch (e) {
+    stderr.write(`${e.message}\n`);
+    return 2;
+  }
+}
@@ -1,4 +1,4 @@
-import { DatasetCore } from '@rdfjs/types'
+import { DatasetCore, Quad } from '@rdfjs/types'
 import { Environment } from '@rdfjs/environment/Environment';
 import { FormatsFactory } from '@rdfjs/formats/Factory';
 import { DatasetFactoryExt } from '@zazuko/env/lib/DatasetFactoryExt';
@@ -14,13 +14,13 @@ interface Options {
   /**
    * Serialisation of the data graph
    *
-   * `text/turtle` by default
+   * `text/turtle` by default. Without `env`, only `text/turtle`, `application/n-triples` and `application/n-quads` are supported
    */
   dataGraphFormat?: string
   /**
    * Serialisation of the shapes graph
    *
-   * `text/turtle` by default
+   * `text/turtle` by default. Without `env`, only `text/turtle`, `application/n-triples` and `application/n-quads` are supported
    */
   shapesGraphFormat?: string
   /**
@@ -55,6 +55,66 @@ interface Options {
    * Optional environment to use for better formatting
    */
   env?: Environment<FormatsFactory | DatasetFactoryExt>
+  /**
+   * Compress all parameters into a single, versioned `state` parameter.
+   *
+   * `true` by default. Set to `false` to produce the legacy plain-text parameters
+   */
+  compress?: boolean
+  /**
+   * Additional parameters stored in the link, such as the playground's `page`
+   */
+  params?: Record<string, unknown>
+}
+
+/**
+ * A dataset, a clownface pointer, an array of quads or a string already serialized in the respective format
+ */
+type Graph = DatasetCore | { dataset: DatasetCore } | Quad[] | string
+
+/**
+ * Creates a link to the playground. Rejects when a graph cannot be serialized in the requested format
+ */
+export function createPlaygroundUrl(shapesGraph: Graph, dataGraph: Graph, options?: Options): Promise<string>
+
+/**
+ * Compresses playground parameters into the value of the `state` parameter
+ */
+export function encodePlaygroundState(params: Record<string, unknown>): Promise<string>
+
+/**
+ * Decodes the value of the `state` parameter of a playground link
+ */
+export function decodePlaygroundState(state: string): Promise<Record<string, unknown>>
+
+interface ParseOptions {
+  /**
+   * Environment used to parse the graphs
+   */
+  env: Environment<FormatsFactory | DatasetFactoryExt>
+  /**
+   * Fetches graphs which the link shares by reference, as `shapesGraphUrl` and `dataGraphUrl`
+   *
+   * The global `fetch` by default
+   */
+  fetch?: typeof fetch
+}
+
+interface PlaygroundState<D extends DatasetCore = DatasetCore> {
+  shapesGraph: D
+  dataGraph: D
+  shapesGraphFormat: string
+  dataGraphFormat: string
+  shapesGraphCustomPrefixes?: Record<string, string>
+  dataGraphCustomPrefixes?: Record<string, string>
+  /**
+   * Other parameters of the link, such as the playground's `page`
+   */
+  params: Record<string, unknown>
 }
 
-export function createPlaygroundUrl(shapesGraph: DatasetCore, dataGraph: DatasetCore, options?: Options): Promise<string>
+/**
+ * Reads the graphs and options from a playground link, accepting both compressed and legacy links.
+ * Graphs shared by reference are fetched from their URL
+ */
+export function parsePlaygroundUrl(url: string | URL, options: ParseOptions): Promise<PlaygroundState>
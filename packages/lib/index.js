@@ -1,11 +1,91 @@
-import { turtle } from "@tpluscode/rdf-string";
+import { nquads, ntriples, turtle } from "@tpluscode/rdf-string";
+import { Readable } from "readable-stream";
 
-async function serialize(dataset, format, prefixes, env) {
+const templates = {
+  "text/turtle": turtle,
+  "application/n-triples": ntriples,
+  "application/n-quads": nquads,
+};
+
+function quadsOf(graph) {
+  // clownface pointers wrap the dataset
+  if (typeof graph.match !== "function" && graph.dataset) {
+    return graph.dataset;
+  }
+
+  return graph;
+}
+
+async function serialize(graph, format, prefixes, env) {
+  if (typeof graph === "string") {
+    return graph;
+  }
+
+  const quads = quadsOf(graph);
   if (env) {
-    return env.dataset(dataset).serialize({ format, prefixes });
+    if (!env.formats.serializers.has(format)) {
+      throw new Error(`No serializer found for ${format}`);
+    }
+
+    return env.dataset([...quads]).serialize({ format, prefixes });
+  }
+
+  const template = templates[format];
+  if (!template) {
+    throw new Error(
+      `No serializer found for ${format}. Pass an environment with formats to serialize it`
+    );
+  }
+
+  return template`${quads}`.toString();
+}
+
+const STATE_VERSION = "v1";
+
+async function readAll(stream) {
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+export async function encodePlaygroundState(params) {
+  const compressed = await readAll(
+    new Blob([JSON.stringify(params)])
+      .stream()
+      .pipeThrough(new CompressionStream("deflate-raw"))
+  );
+
+  return `${STATE_VERSION}.${toBase64Url(compressed)}`;
+}
+
+export async function decodePlaygroundState(state) {
+  const [version, data] = state.split(".");
+  if (version !== STATE_VERSION || !data) {
+    throw new Error(`Unsupported playground state version: ${version}`);
   }
 
-  return turtle`${dataset}`.toString();
+  const json = await readAll(
+    new Blob([fromBase64Url(data)])
+      .stream()
+      .pipeThrough(new DecompressionStream("deflate-raw"))
+  );
+
+  return JSON.parse(new TextDecoder().decode(json));
 }
 
 export async function createPlaygroundUrl(
@@ -21,45 +101,136 @@ export async function createPlaygroundUrl(
     shapesGraphPrefixes = [],
     shapesGraphCustomPrefixes,
     env,
+    compress = true,
+    params: additionalParams = {},
   } = {}
 ) {
   const url = new URL(instanceUrl);
-  const hash = new URLSearchParams([
-    [
-      "shapesGraph",
-      await serialize(
-        shapesGraph,
-        dataGraphFormat,
-        [...prefixes, ...dataGraphPrefixes],
-        env
-      ),
-    ],
-    [
-      "dataGraph",
-      await serialize(
-        dataGraph,
-        shapesGraphFormat,
-        [...prefixes, ...shapesGraphPrefixes],
-        env
-      ),
-    ],
-    ["shapesGraphFormat", shapesGraphFormat],
-    ["dataGraphFormat", dataGraphFormat],
-  ]);
-
-  if (dataGraphCustomPrefixes) {
-    hash.set(
-      "dataGraphCustomPrefixes",
-      JSON.stringify(dataGraphCustomPrefixes)
-    );
-  }
-  if (shapesGraphCustomPrefixes) {
-    hash.set(
-      "shapesGraphCustomPrefixes",
-      JSON.stringify(shapesGraphCustomPrefixes)
-    );
+  const params = {
+    shapesGraph: await serialize(
+      shapesGraph,
+      shapesGraphFormat,
+      [...prefixes, ...shapesGraphPrefixes],
+      env
+    ),
+    dataGraph: await serialize(
+      dataGraph,
+      dataGraphFormat,
+      [...prefixes, ...dataGraphPrefixes],
+      env
+    ),
+    shapesGraphFormat,
+    dataGraphFormat,
+    ...(dataGraphCustomPrefixes && { dataGraphCustomPrefixes }),
+    ...(shapesGraphCustomPrefixes && { shapesGraphCustomPrefixes }),
+    ...additionalParams,
+  };
+
+  if (compress) {
+    url.hash = new URLSearchParams([
+      ["state", await encodePlaygroundState(params)],
+    ]).toString();
+    return url.toString();
   }
 
+  const hash = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (typeof value !== "undefined") {
+      hash.set(key, typeof value === "string" ? value : JSON.stringify(value));
+    }
+  });
+
   url.hash = hash.toString();
   return url.toString();
 }
+
+async function parse(text, format, env) {
+  const quadStream = env.formats.parsers.import(format, Readable.from([text]));
+  if (!quadStream) {
+    throw new Error(`No parser found for ${format}`);
+  }
+
+  return env.dataset().import(quadStream);
+}
+
+async function loadGraph(graph, format, url, { env, fetch }) {
+  if (!url) {
+    return { graph, format };
+  }
+
+  const response = await fetch(url, {
+    headers: { accept: `${format}, */*;q=0.1` },
+  });
+  if (!response.ok) {
+    throw new Error(
+      `Failed to load ${url}: ${response.status} ${response.statusText}`
+    );
+  }
+
+  // like the playground, prefer the format the server responds with
+  const mediaType = (response.headers.get("content-type") || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+
+  return {
+    graph: await response.text(),
+    format: env.formats.parsers.has(mediaType) ? mediaType : format,
+  };
+}
+
+function fromJson(value) {
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+export async function parsePlaygroundUrl(
+  playgroundUrl,
+  { env, fetch = globalThis.fetch } = {}
+) {
+  if (!env) {
+    throw new Error("An RDF/JS environment is required to parse the graphs");
+  }
+
+  const url = new URL(playgroundUrl);
+  const hash = new URLSearchParams(url.hash.substring(1));
+  const state = hash.get("state") || url.searchParams.get("state");
+
+  // legacy links have every parameter as plain text
+  const params = state
+    ? await decodePlaygroundState(state)
+    : Object.fromEntries([...url.searchParams, ...hash]);
+
+  const {
+    shapesGraph = "",
+    dataGraph = "",
+    shapesGraphFormat = "text/turtle",
+    dataGraphFormat = "text/turtle",
+    shapesGraphCustomPrefixes,
+    dataGraphCustomPrefixes,
+    ...otherParams
+  } = params;
+
+  // the playground shares graphs loaded from a URL, and not edited since, by reference
+  const shapes = await loadGraph(
+    shapesGraph,
+    shapesGraphFormat,
+    otherParams.shapesGraphUrl,
+    { env, fetch }
+  );
+  const data = await loadGraph(
+    dataGraph,
+    dataGraphFormat,
+    otherParams.dataGraphUrl,
+    { env, fetch }
+  );
+
+  return {
+    shapesGraph: await parse(shapes.graph, shapes.format, env),
+    dataGraph: await parse(data.graph, data.format, env),
+    shapesGraphFormat: shapes.format,
+    dataGraphFormat: data.format,
+    shapesGraphCustomPrefixes: fromJson(shapesGraphCustomPrefixes),
+    dataGraphCustomPrefixes: fromJson(dataGraphCustomPrefixes),
+    params: otherParams,
+  };
+}
@@ -0,0 +1,176 @@
+import * as assert from "assert";
+import { fileURLToPath } from "url";
+import $rdf from "@zazuko/env";
+import { run } from "../cli.js";
+import { parsePlaygroundUrl } from "../index.js";
+
+const fixture = (name) =>
+  fileURLToPath(new URL(`fixtures/${name}`, import.meta.url));
+
+function output() {
+  const chunks = [];
+  return {
+    write(chunk) {
+      chunks.push(chunk);
+    },
+    toString() {
+      return chunks.join("");
+    },
+  };
+}
+
+describe("shacl-playground cli", () => {
+  let stdout;
+  let stderr;
+
+  beforeEach(() => {
+    stdout = output();
+    stderr = output();
+  });
+
+  it("prints a link to the playground", async () => {
+    // when
+    const code = await run([fixture("shapes.ttl"), fixture("warning.jsonld")], {
+      stdout,
+      stderr,
+    });
+
+    // then
+    assert.equal(code, 0);
+    const { shapesGraph, dataGraph } = await parsePlaygroundUrl(
+      stdout.toString().trim(),
+      { env: $rdf }
+    );
+    assert.ok(shapesGraph.size > 0);
+    assert.equal(dataGraph.size, 2);
+  });
+
+  it("uses the instance URL", async () => {
+    // when
+    await run(
+      [
+        "--instance-url",
+        "http://localhost:8080/",
+        "--legacy",
+        fixture("shapes.ttl"),
+        fixture("valid.ttl"),
+      ],
+      { stdout, stderr }
+    );
+
+    // then
+    assert.match(stdout.toString(), /^http:\/\/localhost:8080\/#shapesGraph=/);
+  });
+
+  it("keeps relative IRIs", async () => {
+    // when
+    await run([fixture("shapes.ttl"), fixture("relative.ttl")], {
+      stdout,
+      stderr,
+    });
+
+    // then
+    const { dataGraph } = await parsePlaygroundUrl(stdout.toString().trim(), {
+      env: $rdf,
+    });
+    assert.deepEqual(
+      [...new Set([...dataGraph].map(({ subject }) => subject.value))],
+      ["john"]
+    );
+  });
+
+  it("resolves relative IRIs against the base", async () => {
+    // when
+    await run(
+      [
+        "--base",
+        "http://example.com/",
+        fixture("shapes.ttl"),
+        fixture("relative.ttl"),
+      ],
+      { stdout, stderr }
+    );
+
+    // then
+    const { dataGraph } = await parsePlaygroundUrl(stdout.toString().trim(), {
+      env: $rdf,
+    });
+    assert.deepEqual(
+      [...new Set([...dataGraph].map(({ subject }) => subject.value))],
+      ["http://example.com/john"]
+    );
+  });
+
+  it("exits with 0 when data conforms", async () => {
+    // when
+    const code = await run(
+      ["--validate", fixture("shapes.ttl"), fixture("valid.ttl")],
+      { stdout, stderr }
+    );
+
+    // then
+    assert.equal(code, 0);
+    assert.equal(stderr.toString(), "Conforms\n");
+  });
+
+  it("does not fail on warnings", async () => {
+    // when
+    const code = await run(
+      ["--validate", fixture("shapes.ttl"), fixture("warning.jsonld")],
+      { stdout, stderr }
+    );
+
+    // then
+    assert.equal(code, 0);
+    assert.match(stderr.toString(), /1 Warning/);
+  });
+
+  it("exits with 1 on violations", async () => {
+    // when
+    const code = await run(
+      ["--validate", fixture("shapes.ttl"), fixture("invalid.nt")],
+      { stdout, stderr }
+    );
+
+    // then
+    assert.equal(code, 1);
+    assert.match(
+      stderr.toString(),
+      /^Violation {2}http:\/\/example.com\/anonymous {2}http:\/\/schema.org\/name/m
+    );
+    assert.match(stderr.toString(), /1 Violation, 1 Warning/);
+  });
+
+  it("exits with 2 when arguments are missing", async () => {
+    // when
+    const code = await run([fixture("shapes.ttl")], { stdout, stderr });
+
+    // then
+    assert.equal(code, 2);
+    assert.match(stderr.toString(), /^Usage:/);
+  });
+
+  it("exits with 2 on unsupported file", async () => {
+    // when
+    const code = await run([fixture("shapes.ttl"), "data.csv"], {
+      stdout,
+      stderr,
+    });
+
+    // then
+    assert.equal(code, 2);
+    assert.equal(stderr.toString(), "Unsupported file type: data.csv\n");
+  });
+
+  it("exits with 2 on missing file", async () => {
+    // when
+    const code = await run([fixture("shapes.ttl"), fixture("missing.ttl")], {
+      stdout,
+      stderr,
+    });
+
+    // then
+    assert.equal(code, 2);
+    assert.match(stderr.toString(), /^ENOENT: no such file or directory/);
+  });
+});
@@ -1,7 +1,12 @@
 import $rdf from "@zazuko/env";
 import pretty from "@rdfjs-elements/formats-pretty";
 import * as assert from "assert";
-import { createPlaygroundUrl } from "../index.js";
+import {
+  createPlaygroundUrl,
+  decodePlaygroundState,
+  encodePlaygroundState,
+  parsePlaygroundUrl,
+} from "../index.js";
 
 $rdf.formats.import(pretty);
 
@@ -13,7 +18,7 @@ describe("@zazuko/shacl-playground", () => {
       // given
       const shapes = $rdf
         .clownface()
-        .blankNode()
+        .blankNode("b1")
         .addOut(rdf.type, sh.NodeShape);
       const data = $rdf
         .clownface()
@@ -21,7 +26,9 @@ describe("@zazuko/shacl-playground", () => {
         .addOut(rdf.type, schema.Person);
 
       // when
-      const short = await createPlaygroundUrl(shapes.dataset, data.dataset);
+      const short = await createPlaygroundUrl(shapes.dataset, data.dataset, {
+        compress: false,
+      });
 
       // then
       assert.equal(
@@ -34,7 +41,7 @@ describe("@zazuko/shacl-playground", () => {
       // given
       const shapes = $rdf
         .clownface()
-        .blankNode()
+        .blankNode("b2")
         .addOut(rdf.type, sh.NodeShape);
       const data = $rdf
         .clownface()
@@ -47,6 +54,7 @@ describe("@zazuko/shacl-playground", () => {
         shapesGraphFormat: "application/rdf+xml",
         dataGraphFormat: "application/rdf+xml",
         env: $rdf,
+        compress: false,
       });
 
       // then
@@ -55,5 +63,318 @@ describe("@zazuko/shacl-playground", () => {
         "https://shacl-playground.zazuko.com/#shapesGraph=%3C%3Fxml+version%3D%221.0%22+encoding%3D%22utf-8%22%3F%3E%0A%3Crdf%3ARDF%0A%09xmlns%3Ardf%3D%22http%3A%2F%2Fwww.w3.org%2F1999%2F02%2F22-rdf-syntax-ns%23%22%0A%09xmlns%3Ash%3D%22http%3A%2F%2Fwww.w3.org%2Fns%2Fshacl%23%22%3E%0A%0A%09%3Crdf%3ADescription+rdf%3AnodeID%3D%22b2%22%3E%0A%09%09%3Crdf%3Atype+rdf%3Aresource%3D%22http%3A%2F%2Fwww.w3.org%2Fns%2Fshacl%23NodeShape%22%2F%3E%0A%09%3C%2Frdf%3ADescription%3E%0A%3C%2Frdf%3ARDF%3E%0A&dataGraph=%3C%3Fxml+version%3D%221.0%22+encoding%3D%22utf-8%22%3F%3E%0A%3Crdf%3ARDF%0A%09xmlns%3Ardf%3D%22http%3A%2F%2Fwww.w3.org%2F1999%2F02%2F22-rdf-syntax-ns%23%22%0A%09xmlns%3Ash%3D%22http%3A%2F%2Fwww.w3.org%2Fns%2Fshacl%23%22%3E%0A%0A%09%3Crdf%3ADescription+rdf%3Aabout%3D%22http%3A%2F%2Fexample.com%2Fresource%22%3E%0A%09%09%3Crdf%3Atype+rdf%3Aresource%3D%22http%3A%2F%2Fschema.org%2FPerson%22%2F%3E%0A%09%3C%2Frdf%3ADescription%3E%0A%3C%2Frdf%3ARDF%3E%0A&shapesGraphFormat=application%2Frdf%2Bxml&dataGraphFormat=application%2Frdf%2Bxml"
       );
     });
+
+    it("compresses parameters into a single state parameter", async () => {
+      // given
+      const shapes = $rdf
+        .clownface()
+        .namedNode("Shape")
+        .addOut(rdf.type, sh.NodeShape);
+      const data = $rdf
+        .clownface()
+        .namedNode("resource")
+        .addOut(rdf.type, schema.Person);
+
+      // when
+      const short = await createPlaygroundUrl(shapes.dataset, data.dataset, {
+        dataGraphCustomPrefixes: { ex: "http://example.com/" },
+        params: { page: 1 },
+      });
+
+      // then
+      const hash = new URLSearchParams(new URL(short).hash.substring(1));
+      assert.deepEqual([...hash.keys()], ["state"]);
+      assert.match(hash.get("state"), /^v1\.[\w-]+$/);
+      const params = await decodePlaygroundState(hash.get("state"));
+      assert.deepEqual(params, {
+        shapesGraph:
+          "@prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .\n@prefix sh: <http://www.w3.org/ns/shacl#> .\n\n<Shape>\n   rdf:type sh:NodeShape .",
+        dataGraph:
+          "@prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .\n@prefix schema: <http://schema.org/> .\n\n<resource>\n   rdf:type schema:Person .",
+        shapesGraphFormat: "text/turtle",
+        dataGraphFormat: "text/turtle",
+        dataGraphCustomPrefixes: { ex: "http://example.com/" },
+        page: 1,
+      });
+    });
+
+    it("produces shorter links than legacy parameters", async () => {
+      // given
+      const shapes = $rdf.clownface();
+      for (let i = 0; i < 20; i += 1) {
+        shapes
+          .namedNode(`http://example.com/Shape${i}`)
+          .addOut(rdf.type, sh.NodeShape)
+          .addOut(sh.targetClass, schema.Person);
+      }
+
+      // when
+      const legacy = await createPlaygroundUrl(shapes.dataset, shapes.dataset, {
+        compress: false,
+      });
+      const compressed = await createPlaygroundUrl(
+        shapes.dataset,
+        shapes.dataset
+      );
+
+      // then
+      assert.ok(compressed.length < legacy.length / 2);
+    });
+
+    it("serializes each graph with its own format and prefixes", async () => {
+      // given
+      const shapes = $rdf
+        .clownface()
+        .namedNode("http://example.com/Shape")
+        .addOut(rdf.type, sh.NodeShape);
+      const data = $rdf
+        .clownface()
+        .namedNode("http://example.com/resource")
+        .addOut(rdf.type, schema.Person);
+
+      // when
+      const url = await createPlaygroundUrl(shapes.dataset, data.dataset, {
+        shapesGraphFormat: "text/turtle",
+        shapesGraphPrefixes: ["sh"],
+        dataGraphFormat: "application/n-triples",
+        dataGraphPrefixes: ["schema"],
+        env: $rdf,
+      });
+
+      // then
+      const hash = new URLSearchParams(new URL(url).hash.substring(1));
+      const params = await decodePlaygroundState(hash.get("state"));
+      assert.match(params.shapesGraph, /^@prefix sh: /m);
+      assert.doesNotMatch(params.shapesGraph, /@prefix schema: /);
+      assert.equal(
+        params.dataGraph.trim(),
+        "<http://example.com/resource> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <http://schema.org/Person> ."
+      );
+    });
+
+    it("accepts strings, pointers and quad arrays", async () => {
+      // given
+      const shapes =
+        "<http://example.com/Shape> a <http://www.w3.org/ns/shacl#NodeShape> .";
+      const data = $rdf
+        .clownface()
+        .namedNode("http://example.com/resource")
+        .addOut(rdf.type, schema.Person);
+
+      // when
+      const fromPointer = await createPlaygroundUrl(shapes, data, {
+        dataGraphFormat: "application/n-triples",
+      });
+      const fromArray = await createPlaygroundUrl(shapes, [...data.dataset], {
+        dataGraphFormat: "application/n-triples",
+        env: $rdf,
+      });
+
+      // then
+      const expected = {
+        shapesGraph: shapes,
+        dataGraph:
+          "<http://example.com/resource> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <http://schema.org/Person> .",
+      };
+      const state = async (url) => {
+        const hash = new URLSearchParams(new URL(url).hash.substring(1));
+        const { shapesGraph, dataGraph } = await decodePlaygroundState(
+          hash.get("state")
+        );
+        return {
+          shapesGraph,
+          dataGraph: dataGraph.replace(/\s+/g, " ").trim(),
+        };
+      };
+      assert.deepEqual(await state(fromPointer), expected);
+      assert.deepEqual(await state(fromArray), expected);
+    });
+
+    it("requires env to serialize other formats", async () => {
+      // given
+      const data = $rdf
+        .clownface()
+        .namedNode("http://example.com/resource")
+        .addOut(rdf.type, schema.Person);
+
+      // then
+      await assert.rejects(
+        createPlaygroundUrl(data, data, {
+          dataGraphFormat: "application/ld+json",
+        }),
+        /No serializer found for application\/ld\+json/
+      );
+    });
+
+    it("rejects formats unknown to env", async () => {
+      // given
+      const data = $rdf
+        .clownface()
+        .namedNode("http://example.com/resource")
+        .addOut(rdf.type, schema.Person);
+
+      // then
+      await assert.rejects(
+        createPlaygroundUrl(data, data, {
+          shapesGraphFormat: "text/csv",
+          env: $rdf,
+        }),
+        /No serializer found for text\/csv/
+      );
+    });
+  });
+
+  describe("parsePlaygroundUrl", () => {
+    let shapes;
+    let data;
+
+    beforeEach(() => {
+      shapes = $rdf
+        .clownface()
+        .namedNode("http://example.com/PersonShape")
+        .addOut(rdf.type, sh.NodeShape)
+        .addOut(sh.targetClass, schema.Person)
+        .addOut(sh.property, (property) => {
+          property.addOut(sh.path, schema.name).addOut(sh.minCount, 1);
+        });
+      data = $rdf
+        .clownface()
+        .namedNode("http://example.com/john")
+        .addOut(rdf.type, schema.Person)
+        .addOut(schema.name, "John");
+    });
+
+    it("parses compressed link", async () => {
+      // given
+      const url = await createPlaygroundUrl(shapes.dataset, data.dataset, {
+        shapesGraphFormat: "text/turtle",
+        dataGraphFormat: "application/ld+json",
+        dataGraphCustomPrefixes: { ex: "http://example.com/" },
+        params: { page: 1 },
+        env: $rdf,
+      });
+
+      // when
+      const parsed = await parsePlaygroundUrl(url, { env: $rdf });
+
+      // then
+      assert.equal(
+        parsed.shapesGraph.toCanonical(),
+        $rdf.dataset([...shapes.dataset]).toCanonical()
+      );
+      assert.equal(
+        parsed.dataGraph.toCanonical(),
+        $rdf.dataset([...data.dataset]).toCanonical()
+      );
+      assert.equal(parsed.shapesGraphFormat, "text/turtle");
+      assert.equal(parsed.dataGraphFormat, "application/ld+json");
+      assert.deepEqual(parsed.dataGraphCustomPrefixes, {
+        ex: "http://example.com/",
+      });
+      assert.equal(parsed.shapesGraphCustomPrefixes, undefined);
+      assert.deepEqual(parsed.params, { page: 1 });
+    });
+
+    it("parses legacy link", async () => {
+      // given
+      const url = await createPlaygroundUrl(shapes.dataset, data.dataset, {
+        shapesGraphCustomPrefixes: { ex: "http://example.com/" },
+        compress: false,
+      });
+
+      // when
+      const parsed = await parsePlaygroundUrl(url, { env: $rdf });
+
+      // then
+      assert.equal(
+        parsed.shapesGraph.toCanonical(),
+        $rdf.dataset([...shapes.dataset]).toCanonical()
+      );
+      assert.equal(
+        parsed.dataGraph.toCanonical(),
+        $rdf.dataset([...data.dataset]).toCanonical()
+      );
+      assert.deepEqual(parsed.shapesGraphCustomPrefixes, {
+        ex: "http://example.com/",
+      });
+    });
+
+    it("fetches graphs shared by reference", async () => {
+      // given
+      const url = await createPlaygroundUrl("", data.dataset, {
+        shapesGraphFormat: "application/ld+json",
+        params: { shapesGraphUrl: "http://example.com/shapes" },
+        env: $rdf,
+      });
+      const requested = [];
+      const fetch = async (resource) => {
+        requested.push(resource);
+        return new Response(
+          await $rdf
+            .dataset([...shapes.dataset])
+            .serialize({ format: "text/turtle" }),
+          { headers: { "content-type": "text/turtle; charset=utf-8" } }
+        );
+      };
+
+      // when
+      const parsed = await parsePlaygroundUrl(url, { env: $rdf, fetch });
+
+      // then
+      assert.deepEqual(requested, ["http://example.com/shapes"]);
+      assert.equal(
+        parsed.shapesGraph.toCanonical(),
+        $rdf.dataset([...shapes.dataset]).toCanonical()
+      );
+      assert.equal(parsed.shapesGraphFormat, "text/turtle");
+      assert.equal(
+        parsed.dataGraph.toCanonical(),
+        $rdf.dataset([...data.dataset]).toCanonical()
+      );
+    });
+
+    it("rejects when a graph shared by reference cannot be fetched", async () => {
+      // given
+      const url = await createPlaygroundUrl(shapes.dataset, "", {
+        params: { dataGraphUrl: "http://example.com/data" },
+      });
+      const fetch = async () =>
+        new Response("", { status: 404, statusText: "Not Found" });
+
+      // then
+      await assert.rejects(
+        parsePlaygroundUrl(url, { env: $rdf, fetch }),
+        /Failed to load http:\/\/example.com\/data: 404 Not Found/
+      );
+    });
+
+    it("requires an environment", async () => {
+      // given
+      const url = await createPlaygroundUrl(shapes.dataset, data.dataset);
+
+      // then
+      await assert.rejects(parsePlaygroundUrl(url), /environment is required/);
+    });
+  });
+
+  describe("decodePlaygroundState", () => {
+    it("decodes encoded state", async () => {
+      // given
+      const state = await encodePlaygroundState({ shapesGraph: "ünïcødé" });
+
+      // when
+      const params = await decodePlaygroundState(state);
+
+      // then
+      assert.deepEqual(params, { shapesGraph: "ünïcødé" });
+    });
+
+    it("rejects unsupported version", async () => {
+      // then
+      await assert.rejects(
+        decodePlaygroundState("v0.abc"),
+        /Unsupported playground state version: v0/
+      );
+    });
   });
 });